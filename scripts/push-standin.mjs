@@ -0,0 +1,228 @@
+// Local stand-in for the backend's Web Push routes, for testing push
+// notifications without deploying anything. No dependencies: VAPID signing
+// (RFC 8292) and payload encryption (RFC 8291, aes128gcm) use node:crypto.
+//
+//   npm run push:standin
+//   VITE_PUSH_API_BASE=http://localhost:8787 npm run build && npm run preview
+//
+// Routes (same as the backend, see src/push.js):
+//   GET  /push/vapid_public_key
+//   POST /push/subscribe     { subscription, alerts }
+//   POST /push/unsubscribe   { endpoint }
+// Stand-in only:
+//   GET  /push/subscriptions  what has been registered
+//   POST /push/test           { alertId? } pushes that alert (default: the
+//                             first one) to every subscription as if it fired
+//
+// Env: PORT (8787), VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (base64url; a pair
+// is generated and printed if unset), VAPID_SUBJECT (mailto:dev@localhost).
+
+import { createServer } from 'node:http';
+import { createCipheriv, createECDH, createHmac, createPrivateKey, randomBytes, sign } from 'node:crypto';
+
+const PORT = Number(process.env.PORT || 8787);
+const SUBJECT = process.env.VAPID_SUBJECT || 'mailto:dev@localhost';
+const RECORD_SIZE = 4096;
+
+const b64url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromB64url = (value) => Buffer.from(value, 'base64url');
+
+const loadVapidKeys = () => {
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    return { publicKey: fromB64url(process.env.VAPID_PUBLIC_KEY), privateKey: fromB64url(process.env.VAPID_PRIVATE_KEY) };
+  }
+  const ecdh = createECDH('prime256v1');
+  ecdh.generateKeys();
+  const keys = { publicKey: ecdh.getPublicKey(), privateKey: ecdh.getPrivateKey() };
+  console.log('Generated VAPID keys for this run:');
+  console.log(`  VAPID_PUBLIC_KEY=${b64url(keys.publicKey)}`);
+  console.log(`  VAPID_PRIVATE_KEY=${b64url(keys.privateKey)}`);
+  return keys;
+};
+
+const vapid = loadVapidKeys();
+const vapidSigningKey = createPrivateKey({
+  format: 'jwk',
+  key: {
+    kty: 'EC',
+    crv: 'P-256',
+    d: b64url(vapid.privateKey),
+    x: b64url(vapid.publicKey.subarray(1, 33)),
+    y: b64url(vapid.publicKey.subarray(33, 65)),
+  },
+});
+
+const vapidAuthorization = (endpoint) => {
+  const header = b64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = b64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+    sub: SUBJECT,
+  }));
+  const signature = sign('sha256', Buffer.from(`${header}.${claims}`), { key: vapidSigningKey, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${header}.${claims}.${b64url(signature)}, k=${b64url(vapid.publicKey)}`;
+};
+
+const hmac = (key, data) => createHmac('sha256', key).update(data).digest();
+
+// Single-record aes128gcm body for the subscription's p256dh/auth keys
+const encrypt = (subscription, payload) => {
+  const clientPublicKey = fromB64url(subscription.keys.p256dh);
+  const authSecret = fromB64url(subscription.keys.auth);
+  const ecdh = createECDH('prime256v1');
+  const serverPublicKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(clientPublicKey);
+  const salt = randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientPublicKey, serverPublicKey]);
+  const ikm = hmac(hmac(authSecret, sharedSecret), Buffer.concat([keyInfo, Buffer.from([1])]));
+  const prk = hmac(salt, ikm);
+  const contentKey = hmac(prk, Buffer.from('Content-Encoding: aes128gcm\0\x01')).subarray(0, 16);
+  const nonce = hmac(prk, Buffer.from('Content-Encoding: nonce\0\x01')).subarray(0, 12);
+
+  const cipher = createCipheriv('aes-128-gcm', contentKey, nonce);
+  // 0x02 marks the last (and only) record
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublicKey.length, 20);
+  return Buffer.concat([header, serverPublicKey, ciphertext]);
+};
+
+const sendPush = async (subscription, message) => {
+  const response = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      Authorization: vapidAuthorization(subscription.endpoint),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      TTL: '60',
+      Urgency: 'high',
+    },
+    body: encrypt(subscription, JSON.stringify(message)),
+  });
+  return { endpoint: subscription.endpoint, status: response.status };
+};
+
+// A reading that satisfies the alert, as the backend would push it:
+// { price, quote }. Field names follow src/alerts/kinds.js.
+const signed = (direction, percent) => (direction === 'down' ? -percent : percent);
+
+const quoteFor = (spot, extra = {}) => ({ spot, dex: spot, best: spot, ...extra });
+
+const spreadQuote = (spot, direction, percent) => {
+  const dex = spot * (1 + signed(direction, Number(percent)) / 100);
+  return { spot, dex, best: Math.min(spot, dex) };
+};
+
+// Compound alerts: one consolidated quote of every coin the predicates watch
+const predicateQuote = (node, quote = {}) => {
+  if (node.children) {
+    node.children.forEach((child) => predicateQuote(child, quote));
+    return quote;
+  }
+  const coin = (quote[node.symbol] ||= {});
+  if (node.kind === 'gas') Object.assign(coin, { gas: Number(node.threshold), gasGwei: Number(node.threshold) });
+  else if (node.kind === 'spread') Object.assign(coin, spreadQuote(100, node.direction, node.percent));
+  else Object.assign(coin, quoteFor(Number(node.targetPrice)));
+  return quote;
+};
+
+const readingFor = (alert) => {
+  const base = Number(alert.currentPrice ?? alert.referencePrice) || 100;
+  switch (alert.kind || 'price') {
+    case 'percent_from_entry': {
+      const price = alert.referencePrice * (1 + signed(alert.direction, alert.percent) / 100);
+      return { price, quote: quoteFor(price) };
+    }
+    case 'spread': {
+      const quote = spreadQuote(base, alert.direction, alert.percent);
+      return { price: quote.dex, quote };
+    }
+    case 'gas':
+      return { price: alert.threshold, quote: quoteFor(2000, { gas: alert.threshold, gasGwei: alert.threshold }) };
+    case 'compound':
+      return { price: null, quote: predicateQuote(alert.expression) };
+    case 'trailing': {
+      const extreme = alert.extreme ?? base;
+      const offset = alert.trailUnit === 'usd' ? alert.trailAmount : (extreme * alert.trailAmount) / 100;
+      const price = alert.side === 'low' ? extreme + offset : extreme - offset;
+      return { price, quote: quoteFor(price) };
+    }
+    case 'price':
+      return { price: alert.targetPrice, quote: quoteFor(alert.targetPrice) };
+    default:
+      // Window and 24h change alerts: the price now, having moved
+      return { price: base, quote: quoteFor(base) };
+  }
+};
+
+// endpoint -> { subscription, alerts }
+const subscriptions = new Map();
+
+const readJson = async (req) => {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  return raw ? JSON.parse(raw) : {};
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    ...(body !== undefined && { 'Content-Type': 'application/json' }),
+  });
+  res.end(body !== undefined ? JSON.stringify(body) : undefined);
+};
+
+const routes = {
+  'GET /push/vapid_public_key': () => [200, { public_key: b64url(vapid.publicKey) }],
+
+  'POST /push/subscribe': ({ subscription, alerts = [] }) => {
+    if (!subscription?.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+      return [422, { detail: 'subscription with endpoint and keys is required' }];
+    }
+    subscriptions.set(subscription.endpoint, { subscription, alerts });
+    console.log(`Subscribed ${subscription.endpoint.slice(0, 60)}… with ${alerts.length} alert(s)`);
+    return [204];
+  },
+
+  'POST /push/unsubscribe': ({ endpoint }) => {
+    subscriptions.delete(endpoint);
+    return [204];
+  },
+
+  'GET /push/subscriptions': () => [200, [...subscriptions.values()].map(({ subscription, alerts }) => ({
+    endpoint: subscription.endpoint,
+    alerts: alerts.length,
+  }))],
+
+  'POST /push/test': async ({ alertId }) => {
+    const results = await Promise.all([...subscriptions.values()].map(async ({ subscription, alerts }) => {
+      const alert = alertId != null ? alerts.find((a) => a.id === alertId) : alerts[0];
+      if (!alert) return { endpoint: subscription.endpoint, skipped: 'no matching alert' };
+      try {
+        return await sendPush(subscription, { type: 'alert', alert, ...readingFor(alert), at: Date.now() });
+      } catch (error) {
+        return { endpoint: subscription.endpoint, error: error.message };
+      }
+    }));
+    return [200, results];
+  },
+};
+
+createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  const route = routes[`${req.method} ${new URL(req.url, 'http://localhost').pathname}`];
+  if (!route) return send(res, 404, { detail: 'Not Found' });
+  try {
+    const [status, body] = await route(req.method === 'POST' ? await readJson(req) : {});
+    send(res, status, body);
+  } catch (error) {
+    send(res, 400, { detail: error.message });
+  }
+}).listen(PORT, () => console.log(`Push stand-in listening on http://localhost:${PORT}`));
@@ -0,0 +1,230 @@
+// Delivery adapters for triggered alerts.
+//
+// Each adapter takes one `triggered` entry from evaluate() and delivers it
+// somewhere: the in-app toast, the Notification API, a service worker
+// registration or the alert sound. They only format and hand off, so
+// evaluate() stays pure.
+
+import { ALERT_KINDS, alertKind, describeAlert, formatPercent, formatReading, spreadFor } from './kinds';
+import { REPEAT_MODES, repeatMode } from './repeat';
+import { alertSymbols } from './compound';
+import { buildAlertLink, chartPeriodFor } from '../deepLink';
+import { withoutSecrets } from './channels';
+
+const labelFor = ({ testMode, replay }) => (replay ? '[REPLAY] ' : testMode ? '[TEST] ' : '');
+
+export const notificationTitle = (trigger) =>
+  `${labelFor(trigger)}${trigger.alert.symbol} ${trigger.alert.source} Price Alert`;
+
+const isPriceKind = (alert) => alertKind(alert) === ALERT_KINDS.PRICE;
+
+// e.g. "hit $2500" or "moves ±5% within 1h"
+const hitText = (alert) => (isPriceKind(alert) ? `hit $${alert.targetPrice}` : describeAlert(alert));
+
+// Compound conditions already name their coins
+const subjectText = (alert) =>
+  alertKind(alert) === ALERT_KINDS.COMPOUND ? 'Compound alert:' : `${alert.symbol} ${alert.source}`;
+
+// Spread at the time of the trigger, e.g. "+1.35% (net +1.10%)"
+const spreadText = (alert, quote) => {
+  const spread = spreadFor(quote);
+  if (!spread) return '';
+  return alert.netOfGas && spread.net !== null
+    ? `${formatPercent(spread.gross)} (net ${formatPercent(spread.net)})`
+    : formatPercent(spread.gross);
+};
+
+// Spot (or DEX/best) price of each coin a compound alert watches
+const compoundText = (quote) =>
+  Object.entries(quote)
+    .map(([symbol, prices]) => {
+      const price = prices?.spot ?? prices?.dex ?? prices?.best;
+      return typeof price === 'number' ? `${symbol.toUpperCase()} $${price.toFixed(2)}` : null;
+    })
+    .filter(Boolean)
+    .join(', ');
+
+const hasPrice = (price) => typeof price === 'number' && isFinite(price);
+
+const NO_READING = 'No current reading';
+
+// e.g. "Current: $2345.60", "Current: 12.5 gwei" or "Spread: +1.35%"
+const readingText = ({ alert, price, quote = {}, replay }) => {
+  if (alertKind(alert) === ALERT_KINDS.COMPOUND) {
+    const prices = compoundText(quote);
+    return prices ? `Now: ${prices}` : NO_READING;
+  }
+  if (alertKind(alert) === ALERT_KINDS.SPREAD) {
+    const spread = spreadText(alert, quote);
+    return spread ? `Spread: ${spread}` : NO_READING;
+  }
+  if (!hasPrice(price)) return NO_READING;
+  if (alertKind(alert) === ALERT_KINDS.GAS) return `Current: ${formatReading(alert, price)}`;
+  return `${replay ? 'Replayed' : 'Current'}: $${price.toFixed(2)}`;
+};
+
+export const notificationBody = (trigger) => {
+  const { alert } = trigger;
+  return isPriceKind(alert)
+    ? `${alert.symbol} ${alert.source} ${alert.type} $${alert.targetPrice} target hit! ${readingText(trigger)}`
+    : `${subjectText(alert)} ${describeAlert(alert)}! ${readingText(trigger)}`;
+};
+
+export const notificationOptions = (trigger) => ({
+  body: notificationBody(trigger),
+  icon: '/icon-192x192.png',
+  requireInteraction: true,
+  tag: `alert_${trigger.alert.id}`,
+});
+
+// Buttons on notifications shown through a service worker. Browsers show
+// as many as `Notification.maxActions` allows, in this order.
+export const NOTIFICATION_ACTIONS = {
+  VIEW: 'view',
+  SNOOZE: 'snooze',
+  REARM: 'rearm',
+  DELETE: 'delete',
+};
+export const NOTIFICATION_SNOOZE_MS = 60 * 60 * 1000;
+
+const ACTION_TITLES = {
+  [NOTIFICATION_ACTIONS.VIEW]: 'View',
+  [NOTIFICATION_ACTIONS.SNOOZE]: 'Snooze 1h',
+  [NOTIFICATION_ACTIONS.REARM]: 'Re-arm',
+  [NOTIFICATION_ACTIONS.DELETE]: 'Delete',
+};
+
+// A once alert is gone after firing, so it can only be viewed or re-armed
+const notificationActions = ({ alert, testMode, replay }) => {
+  if (replay) return [NOTIFICATION_ACTIONS.VIEW];
+  if (repeatMode(alert) === REPEAT_MODES.ONCE && !testMode) return [NOTIFICATION_ACTIONS.VIEW, NOTIFICATION_ACTIONS.REARM];
+  return [NOTIFICATION_ACTIONS.VIEW, NOTIFICATION_ACTIONS.SNOOZE, NOTIFICATION_ACTIONS.REARM, NOTIFICATION_ACTIONS.DELETE];
+};
+
+// `data` carries the deep link and the alert as it was when it fired, so
+// Re-arm can bring back an alert that fired once (its webhook secrets are
+// left out and have to be entered again). `extra` adds options such
+// as the cue's vibration (see cues.js).
+export const persistentNotificationOptions = (trigger, extra = {}) => {
+  const { alert } = trigger;
+  // Compound alerts open on the first coin they watch
+  const link = { symbol: alertSymbols(alert)[0], period: chartPeriodFor(alert), alertId: alert.id };
+  return {
+    ...notificationOptions(trigger),
+    ...extra,
+    actions: notificationActions(trigger).map((action) => ({ action, title: ACTION_TITLES[action] })),
+    data: { ...link, url: buildAlertLink(link), alert: withoutSecrets(alert), replay: !!trigger.replay },
+  };
+};
+
+// Transitions for a notification button (see persistentNotificationOptions)
+export const notificationActionTransitions = (alerts, action, { alert, replay } = {}, now = Date.now()) => {
+  if (!alert || replay) return [];
+  const stored = alerts.find((a) => a.id === alert.id);
+  switch (action) {
+    case NOTIFICATION_ACTIONS.SNOOZE:
+      return stored ? [{ type: 'update', id: alert.id, changes: { snoozedUntil: now + NOTIFICATION_SNOOZE_MS } }] : [];
+    case NOTIFICATION_ACTIONS.REARM:
+      return stored
+        ? [{ type: 'update', id: alert.id, changes: { armed: true, lastTriggeredAt: null, snoozedUntil: null } }]
+        : [{ type: 'add', alert }];
+    case NOTIFICATION_ACTIONS.DELETE:
+      return stored ? [{ type: 'remove', id: alert.id }] : [];
+    default:
+      return [];
+  }
+};
+
+export const toastMessage = (trigger) => {
+  const { alert, testMode, replay } = trigger;
+  const prefix = replay ? '⏪ REPLAY: ' : testMode ? '🧪 TEST: ' : '🎯 ';
+  return `${prefix}${subjectText(alert)} ${hitText(alert)}! ${readingText(trigger)}`;
+};
+
+// Entry for the persisted notification history list. `cue` marks alerts
+// that fired silently in quiet hours.
+export const toHistoryEntry = ({ alert, price, quote, at, testMode, replay }, cue) => ({
+  id: at + Math.random(),
+  alertId: alert.id,
+  symbol: alert.symbol,
+  source: alert.source,
+  kind: alertKind(alert),
+  type: alert.type,
+  targetPrice: alert.targetPrice,
+  condition: isPriceKind(alert) ? null : describeAlert(alert),
+  currentPrice: price,
+  // Shown instead of currentPrice for kinds that do not watch a coin price
+  reading:
+    alertKind(alert) === ALERT_KINDS.SPREAD
+      ? spreadText(alert, quote)
+      : alertKind(alert) === ALERT_KINDS.GAS
+      ? (hasPrice(price) ? formatReading(alert, price) : null)
+      : alertKind(alert) === ALERT_KINDS.COMPOUND
+      ? compoundText(quote)
+      : null,
+  timestamp: new Date(at).toLocaleString(),
+  isTest: testMode,
+  isReplay: replay,
+  ...(cue?.quiet && { isQuiet: true }),
+});
+
+// History entry for an alert that expired without firing
+export const toExpiredHistoryEntry = ({ alert, at }) => ({
+  id: at + Math.random(),
+  alertId: alert.id,
+  symbol: alert.symbol,
+  source: alert.source,
+  kind: alertKind(alert),
+  type: alert.type,
+  targetPrice: alert.targetPrice,
+  condition: describeAlert(alert),
+  currentPrice: null,
+  reading: null,
+  timestamp: new Date(at).toLocaleString(),
+  isExpired: true,
+});
+
+// showToast(message, durationMs)
+export const createToastAdapter = (showToast) => (trigger) => {
+  showToast(toastMessage(trigger), trigger.testMode ? 8000 : 7000);
+};
+
+// playCue(cue) sounds and vibrates; cueOf(trigger) picks the cue
+export const createCueAdapter = (cueOf, playCue) => (trigger) => playCue(cueOf(trigger));
+
+// Goes through the service worker when one is registered, so the
+// notification gets its action buttons; otherwise a plain notification whose
+// click calls `onClick(data)` with the deep link fields. `cueOptions(trigger)`
+// is merged into the notification options.
+export const createBrowserNotificationAdapter = (onClick, cueOptions = () => ({})) => async (trigger) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  const registration = await globalThis.navigator?.serviceWorker?.getRegistration();
+  if (registration) return createRegistrationNotificationAdapter(registration, cueOptions)(trigger);
+
+  const { data } = persistentNotificationOptions(trigger);
+  const notification = new Notification(notificationTitle(trigger), { ...notificationOptions(trigger), ...cueOptions(trigger) });
+  notification.onclick = () => {
+    notification.close();
+    onClick?.(data);
+  };
+};
+
+// For service workers, where `new Notification()` is not allowed
+export const createRegistrationNotificationAdapter = (registration, cueOptions = () => ({})) => (trigger) =>
+  registration.showNotification(notificationTitle(trigger), persistentNotificationOptions(trigger, cueOptions(trigger)));
+
+const reportFailure = (error) => console.error('Alert delivery failed:', error);
+
+// Adapters may be sync or async; one failing never blocks the others.
+// Resolves once every delivery has settled.
+export const dispatchTriggers = (triggered, adapters) =>
+  Promise.all(triggered.flatMap((trigger) =>
+    adapters.map((deliver) => {
+      try {
+        return Promise.resolve(deliver(trigger)).catch(reportFailure);
+      } catch (error) {
+        reportFailure(error);
+        return null;
+      }
+    }),
+  ));
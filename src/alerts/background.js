@@ -0,0 +1,236 @@
+// Background alert monitoring.
+//
+// The alert list lives in the `monitor` IndexedDB store as well as in
+// localStorage, so the service worker (src/sw.js) can keep checking alerts
+// after the tab is hidden or closed. Only one side evaluates at a time:
+// the page while it is visible, the worker otherwise. The worker records
+// what it did (alert updates, history entries) in the store and tells any
+// open page to pick it up. With Web Push on (see src/push.js) the backend
+// watches the alerts instead and the worker only renders what it pushes.
+//
+//   monitor/alerts  { alerts, by: 'page' | 'worker', updatedAt }
+//   monitor/config  { apiBase, demoMode, testMode, maxAlerts, push, sound }
+//   monitor/events  history entries the page has not picked up yet
+
+import { idbGet, idbPut, idbUpdate } from '../idb';
+import { api, describeApiError } from '../api';
+import { fetchPriceSnapshot } from '../api/prices';
+import { isMockBase, setWorkerApiBase } from '../config';
+import { syncPushAlerts } from '../push';
+import { alertSymbols } from './compound';
+import { applyTransitions, collectExpired, evaluate, firedTransition } from './engine';
+import { deliverToChannels } from './channels';
+import { alertCue, cueNotificationOptions } from './cues';
+import { ALERT_KINDS, alertKind, isValidPrice, needsSamples, spreadFor } from './kinds';
+import { createSampleStore } from './samples';
+import {
+  createRegistrationNotificationAdapter,
+  dispatchTriggers,
+  notificationActionTransitions,
+  notificationTitle,
+  persistentNotificationOptions,
+  toExpiredHistoryEntry,
+  toHistoryEntry,
+} from './adapters';
+
+const STORE = 'monitor';
+const MAX_EVENTS = 50;
+// Coins fetched in parallel per check
+const FETCH_BATCH_SIZE = 4;
+
+export const BACKGROUND_SYNC_TAG = 'cryptopricer-alerts';
+// Periodic Background Sync is a hint; browsers may run it far less often
+export const PERIODIC_SYNC_INTERVAL = 15 * 60 * 1000;
+// Keep-alive ping from a hidden page where periodic sync is unavailable
+export const KEEP_ALIVE_INTERVAL = 60 * 1000;
+
+export const MONITOR_MESSAGES = {
+  CHECK: 'check-alerts',
+  SYNCED: 'alerts-synced',
+  // { symbol, period, alertId } from a notification click
+  SHOW_ALERT: 'show-alert',
+};
+
+export const saveAlerts = (alerts, by) => idbPut(STORE, 'alerts', { alerts, by, updatedAt: Date.now() });
+
+export const loadAlerts = () => idbGet(STORE, 'alerts');
+
+export const saveMonitorConfig = (config) => idbPut(STORE, 'config', config);
+
+// Resolves the worker's pending history entries (newest first) and clears them.
+export const takeEvents = async () => {
+  let events = [];
+  await idbUpdate(STORE, 'events', (pending) => {
+    events = pending || [];
+    return undefined;
+  });
+  return events;
+};
+
+// Applied to whatever is stored when the check finishes, so edits the page
+// made while prices were loading are kept.
+const commit = async (transitions, entries) => {
+  if (transitions.length > 0) {
+    await idbUpdate(STORE, 'alerts', (record) => ({
+      alerts: applyTransitions(record?.alerts || [], transitions),
+      by: 'worker',
+      updatedAt: Date.now(),
+    }));
+  }
+  if (entries.length > 0) {
+    await idbUpdate(STORE, 'events', (pending = []) => [...entries, ...pending].slice(0, MAX_EVENTS));
+  }
+};
+
+// The worker has no localStorage, so requests go to the backend the page
+// last used.
+const loadConfig = async () => {
+  const config = await idbGet(STORE, 'config');
+  if (config) setWorkerApiBase(config.apiBase);
+  return config;
+};
+
+// Worker-lifetime sample store for window and 24h change alerts, backfilled
+// from history like the page's.
+const samples = createSampleStore();
+let seeded = { apiBase: null, symbols: new Set() };
+
+const backfillSamples = async (alerts, apiBase) => {
+  if (seeded.apiBase !== apiBase) {
+    samples.clear();
+    seeded = { apiBase, symbols: new Set() };
+  }
+  const missing = [...new Set(alerts.filter(needsSamples).map((a) => a.symbol.toLowerCase()))]
+    .filter((sym) => !seeded.symbols.has(sym));
+
+  await Promise.all(missing.map(async (sym) => {
+    try {
+      const points = (await api.history(sym, 1))?.prices;
+      if (!Array.isArray(points)) return;
+      ['spot', 'dex', 'best'].forEach((key) => samples.seed(sym, key, points));
+      seeded.symbols.add(sym);
+    } catch (error) {
+      console.warn(`Could not backfill ${sym} price samples:`, describeApiError(error));
+    }
+  }));
+};
+
+const fetchSnapshots = async (symbols, now) => {
+  const snapshots = {};
+  const pending = [...symbols];
+  while (pending.length > 0) {
+    await Promise.all(pending.splice(0, FETCH_BATCH_SIZE).map(async (symbol) => {
+      const { snapshot } = await fetchPriceSnapshot(symbol);
+      if (Object.keys(snapshot).length <= 1) return;
+      snapshots[symbol] = snapshot;
+      samples.record(symbol, snapshot, now);
+    }));
+  }
+  return snapshots;
+};
+
+// The worker can't play sounds; notifications vibrate or stay silent
+// according to the page's sound settings.
+const cueOptions = (config) => (trigger) =>
+  config?.sound ? cueNotificationOptions(alertCue(trigger, config.sound)) : {};
+
+// History entry for a trigger, recorded once its channels have been tried
+const deliverAndRecord = async (trigger, config) => ({
+  ...toHistoryEntry(trigger, config?.sound && alertCue(trigger, config.sound)),
+  deliveries: await deliverToChannels(trigger),
+});
+
+// One background check: expire, fetch each watched coin once, evaluate,
+// notify and record. Resolves true when the stored state changed.
+export const runBackgroundCheck = async (registration) => {
+  const [config, record] = await Promise.all([loadConfig(), loadAlerts()]);
+  // Demo prices are simulated inside the page, so there is nothing to check
+  if (!config || config.demoMode || isMockBase(config.apiBase) || config.push) return false;
+
+  const now = Date.now();
+  const { expired, transitions: expiryTransitions } = collectExpired(record?.alerts || [], now);
+  const alerts = applyTransitions(record?.alerts || [], expiryTransitions);
+  const expiredEntries = expired.map(toExpiredHistoryEntry);
+
+  if (alerts.length === 0 || alerts.length > config.maxAlerts) {
+    await commit(expiryTransitions, expiredEntries);
+    return expired.length > 0;
+  }
+
+  await backfillSamples(alerts, config.apiBase);
+  const snapshots = await fetchSnapshots(new Set(alerts.flatMap(alertSymbols)), now);
+  const { triggered, transitions } = evaluate(alerts, snapshots, now, { testMode: config.testMode, samples });
+
+  await commit([...expiryTransitions, ...transitions], expiredEntries);
+  await dispatchTriggers(triggered, [createRegistrationNotificationAdapter(registration, cueOptions(config))]);
+  await commit([], await Promise.all(triggered.map((trigger) => deliverAndRecord(trigger, config))));
+  return expired.length > 0 || transitions.length > 0 || triggered.length > 0;
+};
+
+// Subscriptions are userVisibleOnly, so every push must show something;
+// this covers pushes that can't be rendered as an alert.
+export const showGenericNotification = (registration, body = 'Open CryptoPricer to see your alerts.') =>
+  registration.showNotification('CryptoPricer', { body, icon: '/icon-192x192.png', tag: 'cryptopricer-push' });
+
+const DELETED_ALERT_BODY = 'An alert you have since deleted fired. Open CryptoPricer to see your alerts.';
+const NO_READING_BODY = 'An alert fired without a price reading. Open CryptoPricer to check it.';
+
+// Whether a pushed price/quote carries what the alert's kind reports
+const hasReading = ({ alert, price, quote }) => {
+  if (alertKind(alert) === ALERT_KINDS.COMPOUND) return Object.keys(quote).length > 0;
+  if (alertKind(alert) === ALERT_KINDS.SPREAD) return spreadFor(quote) !== null;
+  return isValidPrice(price);
+};
+
+const pushedTrigger = async ({ alert: pushed, price = null, quote, at = Date.now() }) => {
+  const [config, record] = await Promise.all([loadConfig(), loadAlerts()]);
+  const alert = record?.alerts?.find((a) => a.id === pushed?.id);
+  return { config, trigger: alert && { alert, price, quote: quote || {}, at, testMode: false } };
+};
+
+const showTrigger = (registration, trigger, config) =>
+  registration.showNotification(notificationTitle(trigger), persistentNotificationOptions(trigger, cueOptions(config)(trigger)));
+
+// Renders an alert the backend pushed and records it like a local trigger.
+// Alerts already deleted here, or pushed without a reading, get a generic
+// notification and resolve false. The alert is only consumed (removed, or
+// its cooldown started) once it has been shown and recorded.
+export const handlePushedAlert = async (registration, message) => {
+  const { config, trigger } = await pushedTrigger(message);
+  if (!trigger || !hasReading(trigger)) {
+    await showGenericNotification(registration, trigger ? NO_READING_BODY : DELETED_ALERT_BODY);
+    return false;
+  }
+
+  await showTrigger(registration, trigger, config);
+  await commit([], [await deliverAndRecord(trigger, config)]);
+  await commit([firedTransition(trigger.alert, trigger.price, trigger.at)], []);
+  return true;
+};
+
+// Only renders a pushed alert, for when a visible page has already fired
+// and recorded it. Shares the page notification's tag, so it replaces it.
+export const showPushedAlert = async (registration, message) => {
+  const { config, trigger } = await pushedTrigger(message);
+  if (!trigger || !hasReading(trigger)) {
+    return showGenericNotification(registration, trigger ? NO_READING_BODY : DELETED_ALERT_BODY);
+  }
+  return showTrigger(registration, trigger, config);
+};
+
+// Snooze, Re-arm or Delete on a notification (see adapters.js). With push
+// on, the backend gets the updated list. Resolves true when anything changed.
+export const handleNotificationAction = async (registration, action, data) => {
+  const [config, record] = await Promise.all([loadConfig(), loadAlerts()]);
+  const transitions = notificationActionTransitions(record?.alerts || [], action, data);
+  if (transitions.length === 0) return false;
+
+  await commit(transitions, []);
+  if (!config?.push) return true;
+  try {
+    await syncPushAlerts(registration, (await loadAlerts())?.alerts || []);
+  } catch (error) {
+    console.warn('Could not send the change to the push server:', describeApiError(error));
+  }
+  return true;
+};
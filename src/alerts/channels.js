@@ -0,0 +1,212 @@
+// Outside notification channels.
+//
+// Alerts may carry `channels`, each delivered when the alert fires:
+//   { id, type: 'webhook', url, secret? }  JSON payload (below), signed with
+//                                          HMAC-SHA256 when a secret is set
+//   { id, type: 'slack', url }             Slack incoming webhook
+//   { id, type: 'discord', url }           Discord webhook
+//
+// Webhook payload:
+//   { "event": "alert.triggered", "alert": { "id", "symbol", "kind", "source", "condition" },
+//     "price": 2501.3, "message": "...", "triggeredAt": "<ISO>", "test": false }
+// `price` is null for compound alerts; `message` is the notification text.
+// Signed requests carry X-CryptoPricer-Timestamp (ms) and
+// X-CryptoPricer-Signature: sha256=<hex HMAC of "<timestamp>.<body>">.
+// Requests come straight from the browser, so webhook receivers must allow
+// CORS. Slack's webhooks don't, so Slack messages are sent opaquely and are
+// recorded as "sent" rather than "delivered".
+//
+// Replayed triggers are never delivered. Deliveries are retried on network
+// errors, 429 and 5xx; every attempt reports the channel's status through
+// `onUpdate`, which the history list shows against the entry.
+
+import { alertKind, describeAlert } from './kinds';
+import { notificationBody, notificationTitle } from './adapters';
+
+export const CHANNEL_TYPES = {
+  WEBHOOK: 'webhook',
+  SLACK: 'slack',
+  DISCORD: 'discord',
+};
+
+export const CHANNEL_LABELS = {
+  [CHANNEL_TYPES.WEBHOOK]: 'Webhook',
+  [CHANNEL_TYPES.SLACK]: 'Slack',
+  [CHANNEL_TYPES.DISCORD]: 'Discord',
+};
+
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  // Sent without being able to read the response (Slack)
+  SENT: 'sent',
+  FAILED: 'failed',
+};
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAYS = [2000, 8000];
+const REQUEST_TIMEOUT = 10000;
+const DISCORD_COLOR = 0x2563eb;
+
+export const newChannel = (type = CHANNEL_TYPES.WEBHOOK) => ({
+  id: Date.now() + Math.random(),
+  type,
+  url: '',
+  ...(type === CHANNEL_TYPES.WEBHOOK && { secret: '' }),
+});
+
+export const alertChannels = (alert) => (Array.isArray(alert.channels) ? alert.channels : []);
+
+// Signing secrets stay on this device: alerts sent to the push server or
+// copied into notification data go through this first.
+const withoutSecret = (channel) => {
+  const copy = { ...channel };
+  delete copy.secret;
+  return copy;
+};
+
+export const withoutSecrets = (alert) =>
+  alert.channels ? { ...alert, channels: alert.channels.map(withoutSecret) } : alert;
+
+export const validateChannel = (channel) => {
+  let url;
+  try {
+    url = new URL(channel.url);
+  } catch {
+    return 'Enter the webhook URL';
+  }
+  const local = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+  if (url.protocol !== 'https:' && !(local && url.protocol === 'http:')) return 'Webhook URLs must use https://';
+  return '';
+};
+
+// Initial delivery list for a trigger's history entry
+export const pendingDeliveries = (trigger) =>
+  (trigger.replay ? [] : alertChannels(trigger.alert)).map((channel) => ({
+    channelId: channel.id,
+    type: channel.type,
+    status: DELIVERY_STATUS.PENDING,
+    attempts: 0,
+    error: null,
+  }));
+
+// e.g. "delivered", "retrying (HTTP 503, attempt 2)", "failed after 3 attempts (Network error)"
+export const describeDelivery = ({ status, attempts, error }) => {
+  const tries = attempts > 1 ? ` after ${attempts} attempts` : '';
+  switch (status) {
+    case DELIVERY_STATUS.PENDING:
+      return attempts === 0 ? 'sending…' : `retrying (${error}, attempt ${attempts + 1})`;
+    case DELIVERY_STATUS.DELIVERED:
+      return `delivered${tries}`;
+    case DELIVERY_STATUS.SENT:
+      return `sent${tries}`;
+    default:
+      return `failed${tries} (${error})`;
+  }
+};
+
+export const webhookPayload = (trigger) => ({
+  event: 'alert.triggered',
+  alert: {
+    id: trigger.alert.id,
+    symbol: trigger.alert.symbol,
+    kind: alertKind(trigger.alert),
+    source: trigger.alert.source,
+    condition: describeAlert(trigger.alert),
+  },
+  price: trigger.price ?? null,
+  message: `${notificationTitle(trigger)}: ${notificationBody(trigger)}`,
+  triggeredAt: new Date(trigger.at).toISOString(),
+  test: !!trigger.testMode,
+});
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const sign = async (secret, message) => {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+};
+
+// fetch() arguments for one channel
+export const buildChannelRequest = async (channel, trigger) => {
+  if (channel.type === CHANNEL_TYPES.SLACK) {
+    const text = `*${notificationTitle(trigger)}*\n${notificationBody(trigger)}`;
+    return {
+      mode: 'no-cors',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: `payload=${encodeURIComponent(JSON.stringify({ text }))}`,
+    };
+  }
+  if (channel.type === CHANNEL_TYPES.DISCORD) {
+    return {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        embeds: [{
+          title: notificationTitle(trigger),
+          description: notificationBody(trigger),
+          timestamp: new Date(trigger.at).toISOString(),
+          color: DISCORD_COLOR,
+        }],
+      }),
+    };
+  }
+  const body = JSON.stringify(webhookPayload(trigger));
+  const headers = { 'Content-Type': 'application/json' };
+  if (channel.secret) {
+    const timestamp = String(Date.now());
+    headers['X-CryptoPricer-Timestamp'] = timestamp;
+    headers['X-CryptoPricer-Signature'] = `sha256=${await sign(channel.secret, `${timestamp}.${body}`)}`;
+  }
+  return { headers, body };
+};
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// One attempt; resolves { status, error, retryable }
+const attempt = async (channel, trigger) => {
+  try {
+    const response = await fetch(channel.url, {
+      method: 'POST',
+      ...(await buildChannelRequest(channel, trigger)),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+    if (response.type === 'opaque') return { status: DELIVERY_STATUS.SENT, error: null };
+    if (response.ok) return { status: DELIVERY_STATUS.DELIVERED, error: null };
+    return { status: DELIVERY_STATUS.FAILED, error: `HTTP ${response.status}`, retryable: isRetryableStatus(response.status) };
+  } catch (error) {
+    const timedOut = error?.name === 'TimeoutError';
+    return { status: DELIVERY_STATUS.FAILED, error: timedOut ? 'Timed out' : 'Network error', retryable: true };
+  }
+};
+
+// Delivers a trigger to all of its alert's channels. `onUpdate` receives
+// the whole delivery list after every attempt; resolves the final list.
+export const deliverToChannels = async (trigger, onUpdate = () => {}) => {
+  const deliveries = pendingDeliveries(trigger);
+  if (deliveries.length === 0) return deliveries;
+  const channels = alertChannels(trigger.alert);
+
+  const update = (index, changes) => {
+    deliveries[index] = { ...deliveries[index], ...changes };
+    onUpdate(deliveries.map((delivery) => ({ ...delivery })));
+  };
+
+  await Promise.all(channels.map(async (channel, index) => {
+    for (let attempts = 1; attempts <= MAX_ATTEMPTS; attempts++) {
+      const result = await attempt(channel, trigger);
+      const finalAttempt = result.status !== DELIVERY_STATUS.FAILED || !result.retryable || attempts === MAX_ATTEMPTS;
+      update(index, {
+        status: finalAttempt ? result.status : DELIVERY_STATUS.PENDING,
+        attempts,
+        error: result.error,
+        at: Date.now(),
+      });
+      if (finalAttempt) return;
+      await wait(RETRY_DELAYS[attempts - 1]);
+    }
+  }));
+  return deliveries;
+};
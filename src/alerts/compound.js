@@ -0,0 +1,75 @@
+// Compound alert conditions.
+//
+// A COMPOUND alert stores an expression tree in `expression`:
+//   group      { op: 'and' | 'or', children: [node, ...] }
+//   predicate  a PRICE, SPREAD or GAS condition with its own `symbol`, e.g.
+//              { kind: 'price', symbol: 'eth', source: 'Spot', type: 'below', targetPrice: 2300 }
+// Predicates on different coins are checked against one consolidated
+// snapshot of every coin's latest prices.
+
+import { ALERT_KINDS, GAS_METRICS, GROUP_OPS, alertKind, conditionMet, isGroup, isValidPrice, sourceKey } from './kinds';
+
+export { GROUP_OPS, isGroup } from './kinds';
+
+export const PREDICATE_KINDS = [ALERT_KINDS.PRICE, ALERT_KINDS.SPREAD, ALERT_KINDS.GAS];
+
+// Blank predicate of each kind, ready to be filled in
+export const newPredicate = (kind, symbol) => {
+  switch (kind) {
+    case ALERT_KINDS.SPREAD:
+      return { kind, symbol, source: 'Spread', direction: 'either', percent: '', netOfGas: false };
+    case ALERT_KINDS.GAS:
+      return { kind, symbol: 'eth', source: 'Gas', metric: GAS_METRICS.GWEI, type: 'below', threshold: '' };
+    default:
+      return { kind: ALERT_KINDS.PRICE, symbol, source: 'Spot', type: 'above', targetPrice: '' };
+  }
+};
+
+export const newGroup = (symbol, op = GROUP_OPS.AND) => ({ op, children: [newPredicate(ALERT_KINDS.PRICE, symbol)] });
+
+// true, false, or null while a coin in the expression has no price yet
+const predicateMet = (predicate, priceSnapshot, context) => {
+  const quote = priceSnapshot?.[predicate.symbol.toLowerCase()];
+  const price = quote?.[sourceKey(predicate)];
+  if (!isValidPrice(price)) return null;
+  return conditionMet(predicate, price, { ...context, quote });
+};
+
+// Three-valued AND/OR: unknown predicates only decide the result when the
+// known ones cannot.
+export const expressionMet = (node, priceSnapshot, context = {}) => {
+  if (!isGroup(node)) return predicateMet(node, priceSnapshot, context);
+  const results = node.children.map((child) => expressionMet(child, priceSnapshot, context));
+  if (node.op === GROUP_OPS.AND) {
+    if (results.includes(false)) return false;
+    return results.includes(null) ? null : true;
+  }
+  if (results.includes(true)) return true;
+  return results.includes(null) ? null : false;
+};
+
+export const expressionSymbols = (node) =>
+  isGroup(node)
+    ? [...new Set(node.children.flatMap(expressionSymbols))]
+    : [node.symbol.toLowerCase()];
+
+// Coins an alert needs prices for
+export const alertSymbols = (alert) =>
+  alertKind(alert) === ALERT_KINDS.COMPOUND ? expressionSymbols(alert.expression) : [alert.symbol.toLowerCase()];
+
+// First problem with an expression being edited, or ''
+export const validateExpression = (node) => {
+  if (isGroup(node)) {
+    if (node.children.length === 0) return 'Every group needs at least one condition';
+    for (const child of node.children) {
+      const error = validateExpression(child);
+      if (error) return error;
+    }
+    return '';
+  }
+  const value = { price: node.targetPrice, spread: node.percent, gas: node.threshold }[alertKind(node)];
+  if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+    return 'Each condition needs a value greater than zero';
+  }
+  return '';
+};
@@ -0,0 +1,50 @@
+// Sound and vibration cues for triggered alerts.
+//
+// Settings (see getSoundSettings in config.js):
+//   { profile, quietHours: { enabled, start: 'HH:MM', end: 'HH:MM', timeZone } }
+// An alert's own `sound` profile wins over the global one. Inside quiet
+// hours nothing sounds or vibrates, but the alert still fires and is
+// logged to the history. The page plays the sounds (src/sound.js); the
+// service worker can only pass the vibration pattern to its notifications.
+
+import { inSchedule } from './schedule';
+
+export const SOUND_PROFILES = {
+  CHIME: 'chime',
+  SIREN: 'siren',
+  SILENT: 'silent',
+};
+
+export const SOUND_PROFILE_LABELS = {
+  [SOUND_PROFILES.CHIME]: 'Chime',
+  [SOUND_PROFILES.SIREN]: 'Urgent siren',
+  [SOUND_PROFILES.SILENT]: 'Silent',
+};
+
+// navigator.vibrate() patterns, in ms of vibration and pause
+export const VIBRATION_PATTERNS = {
+  [SOUND_PROFILES.CHIME]: [200],
+  [SOUND_PROFILES.SIREN]: [400, 150, 400, 150, 400],
+  [SOUND_PROFILES.SILENT]: [],
+};
+
+export const isSoundProfile = (profile) => Object.values(SOUND_PROFILES).includes(profile);
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+export const inQuietHours = (quietHours, now = Date.now()) =>
+  !!quietHours?.enabled && inSchedule({ schedule: { ...quietHours, days: ALL_DAYS } }, now);
+
+// { profile, quiet, sound, vibrate } for a trigger. Replays stay silent so
+// a fast replay doesn't play dozens of sounds.
+export const alertCue = ({ alert, at, replay }, settings) => {
+  const profile = isSoundProfile(alert.sound) ? alert.sound : settings.profile;
+  const quiet = inQuietHours(settings.quietHours, at);
+  const muted = quiet || !!replay || profile === SOUND_PROFILES.SILENT;
+  return { profile, quiet, sound: !muted, vibrate: muted ? [] : VIBRATION_PATTERNS[profile] };
+};
+
+// Notification options for a cue. Browsers reject `silent` together with
+// a vibration pattern, so only muted cues are silent.
+export const cueNotificationOptions = (cue) =>
+  cue.sound ? { vibrate: cue.vibrate } : { silent: true };
@@ -0,0 +1,163 @@
+// Alert engine.
+//
+// Pure rule evaluation with no DOM, React or network dependencies, so the
+// same code can run in the page, a service worker or a Node process.
+//
+//   evaluate(alerts, priceSnapshot, now, options) -> { triggered, transitions }
+//
+// `priceSnapshot` maps lower-case symbols to their latest prices:
+//   { eth: { spot: 2345.6, dex: 2351.2, best: 2348.5, gas: 4.1 }, ... }
+// Compound alerts need every coin they watch in the same snapshot.
+// `triggered` lists the alerts that fired at `now` with the price that fired
+// them and the coin's snapshot; `transitions` describes how the stored alert
+// list should change and is applied with applyTransitions().
+
+import { ALERT_KINDS, alertKind, conditionMet, isValidPrice, resetMet, sourceKey, trailingExtreme } from './kinds';
+import { expressionMet, expressionSymbols } from './compound';
+import { REPEAT_MODES, isArmed, repeatMode } from './repeat';
+import { inSchedule, isExpired } from './schedule';
+
+export { SOURCE_KEYS, isValidPrice, conditionMet } from './kinds';
+
+// Test-mode alerts re-fire at most this often while the target stays hit
+export const TEST_REFIRE_INTERVAL = 30000;
+
+// Paused alerts are skipped until resumed, snoozed ones until `snoozedUntil`
+export const isSnoozed = (alert, now = Date.now()) => alert.snoozedUntil != null && now < alert.snoozedUntil;
+
+export const isSuspended = (alert, now = Date.now()) => !!alert.paused || isSnoozed(alert, now);
+
+export const priceForAlert = (alert, priceSnapshot) =>
+  priceSnapshot?.[alert.symbol.toLowerCase()]?.[sourceKey(alert)];
+
+// What one alert sees in a snapshot, or null while its prices are missing.
+// Compound alerts report no single price; their `quote` holds every coin
+// they watch, and they re-arm as soon as the expression stops holding.
+const observe = (alert, priceSnapshot, context) => {
+  if (alertKind(alert) === ALERT_KINDS.COMPOUND) {
+    const result = expressionMet(alert.expression, priceSnapshot, context);
+    if (result === null) return null;
+    const quote = Object.fromEntries(
+      expressionSymbols(alert.expression).map((symbol) => [symbol, priceSnapshot[symbol]]),
+    );
+    return { price: null, quote, met: () => result, reset: () => !result };
+  }
+  const quote = priceSnapshot?.[alert.symbol.toLowerCase()];
+  const price = priceForAlert(alert, priceSnapshot);
+  if (!isValidPrice(price)) return null;
+  const withQuote = { ...context, quote };
+  return {
+    price,
+    quote,
+    met: () => conditionMet(alert, price, withQuote),
+    reset: () => resetMet(alert, price, withQuote),
+  };
+};
+
+// In a replay, trailing alerts trail from the replayed path: their running
+// high/low lives in `trails` (alert id -> extreme), starting at the first
+// replayed price, instead of the stored `extreme`.
+const replayView = (alert, priceSnapshot, trails) => {
+  if (alertKind(alert) !== ALERT_KINDS.TRAILING) return alert;
+  const price = priceForAlert(alert, priceSnapshot);
+  if (!isValidPrice(price)) return alert;
+  return { ...alert, extreme: trails.get(alert.id) ?? price };
+};
+
+// Options:
+//   testMode  one-shot alerts are kept after firing and re-fire every
+//             TEST_REFIRE_INTERVAL; recurring alerts follow their own rules
+//   replay    prices are replayed, so nothing about the stored alerts changes;
+//             snoozes, expiry and active hours are ignored since `now` is a
+//             replayed time
+//   samples   sample store (see samples.js) for window and 24h change kinds
+//   trails    Map of replayed trailing extremes, kept by the caller for the
+//             length of a replay
+export const evaluate = (
+  alerts,
+  priceSnapshot,
+  now = Date.now(),
+  { testMode = false, replay = false, samples = null, trails = new Map() } = {},
+) => {
+  const triggered = [];
+  const transitions = [];
+
+  alerts.forEach((stored) => {
+    if (stored.paused || (!replay && (isSnoozed(stored, now) || isExpired(stored, now)))) return;
+    const alert = replay ? replayView(stored, priceSnapshot, trails) : stored;
+    const observation = observe(alert, priceSnapshot, { samples, now });
+    if (!observation) return;
+    const { price, quote } = observation;
+    const mode = repeatMode(alert);
+
+    if (!replay && !isArmed(alert)) {
+      if (observation.reset()) {
+        transitions.push({ type: 'update', id: alert.id, changes: { armed: true } });
+      }
+      return;
+    }
+
+    // Trailing alerts carry their running high/low forward
+    const extreme = alertKind(alert) === ALERT_KINDS.TRAILING ? trailingExtreme(alert, price) : null;
+    if (replay && extreme !== null) trails.set(alert.id, extreme);
+    if (!replay && extreme !== null && extreme !== alert.extreme) {
+      transitions.push({ type: 'update', id: alert.id, changes: { extreme } });
+    }
+
+    // Outside active hours, state still tracks the market but nothing fires
+    if (!observation.met() || (!replay && !inSchedule(alert, now))) return;
+    const sinceLast = alert.lastTriggeredAt != null ? now - alert.lastTriggeredAt : Infinity;
+    if (mode === REPEAT_MODES.COOLDOWN && sinceLast < alert.cooldownMs) return;
+    if (mode === REPEAT_MODES.ONCE && testMode && sinceLast < TEST_REFIRE_INTERVAL) return;
+
+    triggered.push({ alert: stored, price, quote, at: now, testMode, replay });
+    if (!replay) transitions.push(firedTransition(alert, price, now, { testMode }));
+    // Like firedTransition, re-trail from the trigger price
+    else if (extreme !== null) trails.set(alert.id, price);
+  });
+
+  return { triggered, transitions };
+};
+
+// How a stored alert changes once it has fired at `price`. Also used for
+// alerts the backend fired and delivered over Web Push.
+export const firedTransition = (alert, price, now = Date.now(), { testMode = false } = {}) => {
+  const mode = repeatMode(alert);
+  if (mode === REPEAT_MODES.ONCE && !testMode) return { type: 'remove', id: alert.id };
+  return {
+    type: 'update',
+    id: alert.id,
+    changes: {
+      lastTriggeredAt: now,
+      triggerCount: (alert.triggerCount || 0) + 1,
+      ...(mode === REPEAT_MODES.HYSTERESIS && { armed: false }),
+      // A recurring trailing alert starts trailing again from here
+      ...(alertKind(alert) === ALERT_KINDS.TRAILING && { extreme: price }),
+    },
+  };
+};
+
+// Alerts past their `expiresAt`, and the transitions that drop them. Run
+// on a timer, since an alert whose coin stops updating is never evaluated.
+export const collectExpired = (alerts, now = Date.now()) => {
+  const expired = alerts.filter((alert) => isExpired(alert, now)).map((alert) => ({ alert, at: now }));
+  return { expired, transitions: expired.map(({ alert }) => ({ type: 'remove', id: alert.id })) };
+};
+
+export const applyTransitions = (alerts, transitions) => {
+  if (transitions.length === 0) return alerts;
+  // Restored alerts (e.g. re-armed from a notification) go to the end
+  const added = transitions
+    .filter((t) => t.type === 'add' && !alerts.some((alert) => alert.id === t.alert.id))
+    .map((t) => t.alert);
+  const removed = new Set(transitions.filter((t) => t.type === 'remove').map((t) => t.id));
+  const updates = new Map();
+  transitions
+    .filter((t) => t.type === 'update')
+    .forEach((t) => updates.set(t.id, { ...updates.get(t.id), ...t.changes }));
+
+  return alerts
+    .filter((alert) => !removed.has(alert.id))
+    .map((alert) => (updates.has(alert.id) ? { ...alert, ...updates.get(alert.id) } : alert))
+    .concat(added);
+};
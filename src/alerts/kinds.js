@@ -0,0 +1,238 @@
+// Alert kinds and their trigger rules.
+//
+// Every alert has a `kind` (legacy alerts without one are PRICE alerts):
+//   PRICE               `type` above/below a fixed `targetPrice`
+//   PERCENT_FROM_ENTRY  moves `percent`% from `referencePrice`, the price
+//                       when the alert was created
+//   WINDOW_CHANGE       moves `percent`% within the last `windowMs`
+//   CHANGE_24H          24h change exceeds `percent`%
+//   SPREAD              DEX vs spot spread exceeds `percent`%, optionally
+//                       after subtracting the swap's gas fee (`netOfGas`)
+//   GAS                 Ethereum gas `type` above/below `threshold`, in gwei
+//                       or as the DEX swap's USD gas cost (`metric`)
+//   COMPOUND            AND/OR tree of the kinds above (see compound.js)
+//   TRAILING            tracks the running high (`side: 'high'`) or low
+//                       (`side: 'low'`) in `extreme` and fires when price
+//                       retraces `trailAmount` (% or $, per `trailUnit`)
+// Percentage kinds carry a `direction` of up, down or either; for spreads
+// up means a DEX premium and down a DEX discount.
+
+export const ALERT_KINDS = {
+  PRICE: 'price',
+  PERCENT_FROM_ENTRY: 'percent_from_entry',
+  WINDOW_CHANGE: 'window_change',
+  CHANGE_24H: 'change_24h',
+  SPREAD: 'spread',
+  GAS: 'gas',
+  COMPOUND: 'compound',
+  TRAILING: 'trailing',
+};
+
+export const TRAIL_UNITS = { PERCENT: 'percent', USD: 'usd' };
+
+export const GROUP_OPS = { AND: 'and', OR: 'or' };
+
+export const isGroup = (node) => node?.op === GROUP_OPS.AND || node?.op === GROUP_OPS.OR;
+
+export const GAS_METRICS = { GWEI: 'gwei', USD: 'usd' };
+
+export const DIRECTIONS = ['either', 'up', 'down'];
+
+// Alert `source` → key in a price snapshot
+export const SOURCE_KEYS = { Spot: 'spot', DEX: 'dex', Best: 'best' };
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isValidPrice = (price) => typeof price === 'number' && isFinite(price) && price > 0;
+
+export const alertKind = (alert) => alert.kind || ALERT_KINDS.PRICE;
+
+// Spread alerts report the DEX price as the price that fired them; gas
+// alerts the gas reading they watch.
+export const sourceKey = (alert) => {
+  switch (alertKind(alert)) {
+    case ALERT_KINDS.SPREAD:
+      return 'dex';
+    case ALERT_KINDS.GAS:
+      return alert.metric === GAS_METRICS.GWEI ? 'gasGwei' : 'gas';
+    default:
+      return SOURCE_KEYS[alert.source || 'Spot'];
+  }
+};
+
+// ParaSwap quotes are for a 10,000 USDC swap (see api/prices.js), so the
+// gas fee is spread over that notional.
+export const SPREAD_NOTIONAL_USD = 10000;
+
+export const formatWindow = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = minutes / 60;
+  return Number.isInteger(hours) ? `${hours}h` : `${hours.toFixed(1)}h`;
+};
+
+const formatUsd = (value) =>
+  `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatGwei = (value) => `${value.toLocaleString(undefined, { maximumFractionDigits: 1 })} gwei`;
+
+// A value read for this alert (price, gas price or gas cost) with its unit
+export const formatReading = (alert, value) =>
+  alertKind(alert) === ALERT_KINDS.GAS && alert.metric === GAS_METRICS.GWEI ? formatGwei(value) : formatUsd(value);
+
+const signFor = (direction) => (direction === 'up' ? '+' : direction === 'down' ? '−' : '±');
+
+export const percentChange = (price, reference) => ((price - reference) / reference) * 100;
+
+const directionMet = (direction, change, threshold) => {
+  if (direction === 'up') return change >= threshold;
+  if (direction === 'down') return change <= -threshold;
+  return Math.abs(change) >= threshold;
+};
+
+// Gross and net-of-gas DEX spread in percent of spot, from one coin's
+// snapshot. `net` shrinks the spread towards zero by the gas cost and is
+// null when the fee is unknown.
+export const spreadFor = (quote) => {
+  if (!isValidPrice(quote?.spot) || !isValidPrice(quote?.dex)) return null;
+  const gross = percentChange(quote.dex, quote.spot);
+  if (typeof quote.gas !== 'number' || !isFinite(quote.gas)) return { gross, net: null };
+  const gasPercent = (quote.gas / SPREAD_NOTIONAL_USD) * 100;
+  const net = Math.sign(gross) * Math.max(0, Math.abs(gross) - gasPercent);
+  return { gross, net };
+};
+
+export const formatPercent = (value) => `${value >= 0 ? '+' : '−'}${Math.abs(value).toFixed(2)}%`;
+
+export const lookbackFor = (alert) => {
+  const kind = alertKind(alert);
+  if (kind === ALERT_KINDS.CHANGE_24H) return DAY_MS;
+  if (kind === ALERT_KINDS.WINDOW_CHANGE) return alert.windowMs;
+  return null;
+};
+
+// Kinds that need recent price samples to evaluate
+export const needsSamples = (alert) => lookbackFor(alert) !== null;
+
+// Price the percentage is measured from, or null when not yet known
+// (e.g. the sample buffer does not reach back far enough).
+export const referencePrice = (alert, { samples, now }) => {
+  switch (alertKind(alert)) {
+    case ALERT_KINDS.PERCENT_FROM_ENTRY:
+      return alert.referencePrice ?? alert.currentPrice ?? null;
+    case ALERT_KINDS.WINDOW_CHANGE:
+    case ALERT_KINDS.CHANGE_24H:
+      return samples?.priceAt(alert.symbol.toLowerCase(), sourceKey(alert), now - lookbackFor(alert)) ?? null;
+    default:
+      return null;
+  }
+};
+
+// Running high/low after seeing `price`
+export const trailingExtreme = (alert, price) => {
+  const extreme = alert.extreme ?? alert.currentPrice ?? price;
+  return alert.side === 'low' ? Math.min(extreme, price) : Math.max(extreme, price);
+};
+
+// Price that fires a trailing alert whose running high/low is `extreme`
+export const trailingLevel = (alert, extreme) => {
+  const offset = alert.trailUnit === TRAIL_UNITS.USD ? alert.trailAmount : (extreme * alert.trailAmount) / 100;
+  return alert.side === 'low' ? extreme + offset : extreme - offset;
+};
+
+// Kinds compared against a fixed level rather than a percentage
+const isLevelKind = (alert) => [ALERT_KINDS.PRICE, ALERT_KINDS.GAS].includes(alertKind(alert));
+
+const levelFor = (alert) => (alertKind(alert) === ALERT_KINDS.GAS ? alert.threshold : alert.targetPrice);
+
+// Signed percentage a percentage kind compares against `percent`, or null
+// while it cannot be computed. `context` holds the sample store, the
+// evaluation time and the coin's full snapshot (`quote`).
+const changeFor = (alert, price, context) => {
+  if (alertKind(alert) === ALERT_KINDS.SPREAD) {
+    const spread = spreadFor(context.quote);
+    const value = alert.netOfGas ? spread?.net : spread?.gross;
+    return typeof value === 'number' ? value : null;
+  }
+  const reference = referencePrice(alert, context);
+  return isValidPrice(reference) ? percentChange(price, reference) : null;
+};
+
+export const conditionMet = (alert, price, context = {}) => {
+  if (alertKind(alert) === ALERT_KINDS.TRAILING) {
+    const level = trailingLevel(alert, trailingExtreme(alert, price));
+    return alert.side === 'low' ? price >= level : price <= level;
+  }
+  if (isLevelKind(alert)) {
+    const level = levelFor(alert);
+    return (alert.type === 'above' && price >= level) || (alert.type === 'below' && price <= level);
+  }
+  const change = changeFor(alert, price, context);
+  return change !== null && directionMet(alert.direction, change, alert.percent);
+};
+
+// Whether a hysteresis alert has moved back past its `resetLevel` (a price
+// or gas level for level kinds, a percentage for the others).
+export const resetMet = (alert, price, context = {}) => {
+  if (isLevelKind(alert)) {
+    return alert.type === 'above' ? price <= alert.resetLevel : price >= alert.resetLevel;
+  }
+  const change = changeFor(alert, price, context);
+  if (change === null) return false;
+  if (alert.direction === 'up') return change < alert.resetLevel;
+  if (alert.direction === 'down') return change > -alert.resetLevel;
+  return Math.abs(change) < alert.resetLevel;
+};
+
+// Prices at which the alert would fire, given its reference price
+export const triggerLevels = (alert, reference) => {
+  if (isLevelKind(alert)) {
+    return alert.type === 'above' ? { up: levelFor(alert) } : { down: levelFor(alert) };
+  }
+  if (alertKind(alert) === ALERT_KINDS.SPREAD || !isValidPrice(reference)) return {};
+  const levels = {};
+  if (alert.direction !== 'down') levels.up = reference * (1 + alert.percent / 100);
+  if (alert.direction !== 'up') levels.down = reference * (1 - alert.percent / 100);
+  return levels;
+};
+
+const describePredicate = (predicate) => {
+  const kind = alertKind(predicate);
+  if (kind === ALERT_KINDS.GAS) return describeAlert(predicate);
+  const source = kind === ALERT_KINDS.SPREAD ? '' : `${predicate.source} `;
+  return `${predicate.symbol.toUpperCase()} ${source}${describeAlert(predicate)}`;
+};
+
+// e.g. "ETH Spot below $2,300.00 AND (gas price below 20 gwei OR ...)"
+export const describeExpression = (node, nested = false) => {
+  if (!isGroup(node)) return describePredicate(node);
+  const text = node.children.map((child) => describeExpression(child, true)).join(` ${node.op.toUpperCase()} `);
+  return nested && node.children.length > 1 ? `(${text})` : text;
+};
+
+// Short condition text for lists, toasts and notifications
+export const describeAlert = (alert) => {
+  const sign = signFor(alert.direction);
+  switch (alertKind(alert)) {
+    case ALERT_KINDS.PERCENT_FROM_ENTRY:
+      return `moves ${sign}${alert.percent}% from ${formatUsd(alert.referencePrice ?? alert.currentPrice)}`;
+    case ALERT_KINDS.WINDOW_CHANGE:
+      return `moves ${sign}${alert.percent}% within ${formatWindow(alert.windowMs)}`;
+    case ALERT_KINDS.CHANGE_24H:
+      return `24h change ${sign}${alert.percent}%`;
+    case ALERT_KINDS.SPREAD: {
+      const label = alert.direction === 'up' ? 'DEX premium' : alert.direction === 'down' ? 'DEX discount' : 'DEX spread';
+      return `${label} ${sign}${alert.percent}%${alert.netOfGas ? ' net of gas' : ''}`;
+    }
+    case ALERT_KINDS.COMPOUND:
+      return describeExpression(alert.expression);
+    case ALERT_KINDS.TRAILING: {
+      const amount = alert.trailUnit === TRAIL_UNITS.USD ? formatUsd(alert.trailAmount) : `${alert.trailAmount}%`;
+      return `trailing stop ${amount} ${alert.side === 'low' ? 'above the low' : 'below the high'}`;
+    }
+    case ALERT_KINDS.GAS:
+      return `${alert.metric === GAS_METRICS.GWEI ? 'gas price' : 'swap gas cost'} ${alert.type} ${formatReading(alert, alert.threshold)}`;
+    default:
+      return `${alert.type} ${formatUsd(alert.targetPrice)}`;
+  }
+};
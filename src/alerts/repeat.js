@@ -0,0 +1,42 @@
+// Re-arm modes for alerts.
+//
+//   ONCE        fires once and is removed (the default)
+//   COOLDOWN    stays active and fires again once `cooldownMs` has passed
+//   HYSTERESIS  stays active but disarms after firing (`armed: false`) and
+//               re-arms only once the reading moves back past `resetLevel`
+//               (compound alerts: once their expression stops holding)
+//
+// Recurring alerts keep `triggerCount` and `lastTriggeredAt`.
+
+import { ALERT_KINDS, alertKind, formatReading, formatWindow } from './kinds';
+
+export const REPEAT_MODES = {
+  ONCE: 'once',
+  COOLDOWN: 'cooldown',
+  HYSTERESIS: 'hysteresis',
+};
+
+export const repeatMode = (alert) => alert.repeat || REPEAT_MODES.ONCE;
+
+export const isArmed = (alert) => repeatMode(alert) !== REPEAT_MODES.HYSTERESIS || alert.armed !== false;
+
+// Reset levels are prices (or gas readings) for level kinds, else percentages
+export const resetIsPercent = (alert) => ![ALERT_KINDS.PRICE, ALERT_KINDS.GAS].includes(alertKind(alert));
+
+// Compound alerts have no single reading to reset against
+export const needsResetLevel = (alert) => alertKind(alert) !== ALERT_KINDS.COMPOUND;
+
+// Trailing alerts re-trail from the trigger price instead of re-arming
+export const supportsHysteresis = (alert) => alertKind(alert) !== ALERT_KINDS.TRAILING;
+
+export const describeRepeat = (alert) => {
+  switch (repeatMode(alert)) {
+    case REPEAT_MODES.COOLDOWN:
+      return `repeats, ${formatWindow(alert.cooldownMs)} cooldown`;
+    case REPEAT_MODES.HYSTERESIS:
+      if (!needsResetLevel(alert)) return 're-arms once the condition clears';
+      return `re-arms at ${resetIsPercent(alert) ? `${alert.resetLevel}%` : formatReading(alert, alert.resetLevel)}`;
+    default:
+      return 'once';
+  }
+};
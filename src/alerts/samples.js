@@ -0,0 +1,65 @@
+// Rolling per-coin price samples for window-based alert kinds.
+//
+// Keeps a thinned time series for each symbol and snapshot key (spot, dex,
+// best, gas) so the engine can ask "what was the price N minutes ago".
+// Pure data structure, usable from the page, a worker or Node.
+
+const HOUR = 60 * 60 * 1000;
+
+export const createSampleStore = ({ maxAge = 25 * HOUR, minInterval = 10000 } = {}) => {
+  const series = new Map();
+
+  const keyFor = (symbol, key) => `${symbol.toLowerCase()}:${key}`;
+
+  const trim = (points, now) => {
+    const cutoff = now - maxAge;
+    let drop = 0;
+    while (drop < points.length && points[drop][0] < cutoff) drop++;
+    if (drop > 0) points.splice(0, drop);
+  };
+
+  const record = (symbol, snapshot, time = Date.now()) => {
+    Object.entries(snapshot).forEach(([key, value]) => {
+      if (typeof value !== 'number' || !isFinite(value) || key === 'timestamp' || key === 'replayTime') return;
+      const id = keyFor(symbol, key);
+      const points = series.get(id) || [];
+      const last = points[points.length - 1];
+      if (last && time - last[0] < minInterval) return;
+      if (last && time < last[0]) return;
+      points.push([time, value]);
+      trim(points, time);
+      series.set(id, points);
+    });
+  };
+
+  // Merge older points (e.g. from /history) in front of live samples
+  const seed = (symbol, key, history) => {
+    const id = keyFor(symbol, key);
+    const points = series.get(id) || [];
+    const firstLive = points.length ? points[0][0] : Infinity;
+    const older = history
+      .filter(([time, value]) => time < firstLive && isFinite(value) && value > 0)
+      .sort((a, b) => a[0] - b[0]);
+    series.set(id, [...older, ...points]);
+  };
+
+  // Latest sample at or before `time`, or null if the buffer starts later
+  const priceAt = (symbol, key, time) => {
+    const points = series.get(keyFor(symbol, key));
+    if (!points || points.length === 0 || points[0][0] > time) return null;
+    let lo = 0;
+    let hi = points.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (points[mid][0] <= time) lo = mid;
+      else hi = mid - 1;
+    }
+    return points[lo][1];
+  };
+
+  const has = (symbol, key) => (series.get(keyFor(symbol, key))?.length || 0) > 0;
+
+  const clear = () => series.clear();
+
+  return { record, seed, priceAt, has, clear };
+};
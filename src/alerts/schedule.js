@@ -0,0 +1,65 @@
+// Alert expiry and active-hours windows.
+//
+//   expiresAt  timestamp after which the alert is dropped (see collectExpired
+//              in engine.js) and logged to the history as expired
+//   schedule   { days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM', timeZone }
+//              the alert only fires inside this window; an end before the
+//              start wraps past midnight, equal times mean all day
+//
+// `timeZone` is the IANA zone the window was set up in, so a service
+// worker or another device reads it the same way.
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const localTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  } catch {
+    return undefined;
+  }
+};
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Weekday and minute of the day at `time` in `timeZone`
+const clockAt = (time, timeZone) => {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  } catch {
+    // Unknown zone: fall back to the local one
+    formatter = new Intl.DateTimeFormat('en-US', { weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  }
+  const parts = formatter.formatToParts(new Date(time));
+  const part = (type) => parts.find((p) => p.type === type)?.value;
+  return { day: WEEKDAYS.indexOf(part('weekday')), minutes: Number(part('hour')) * 60 + Number(part('minute')) };
+};
+
+export const isExpired = (alert, now = Date.now()) => alert.expiresAt != null && now >= alert.expiresAt;
+
+export const inSchedule = (alert, now = Date.now()) => {
+  const { schedule } = alert;
+  if (!schedule) return true;
+  const { day, minutes } = clockAt(now, schedule.timeZone);
+  if (!schedule.days.includes(day)) return false;
+  const start = toMinutes(schedule.start);
+  const end = toMinutes(schedule.end);
+  if (start === end) return true;
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+};
+
+const describeDays = (days) => {
+  const sorted = [...days].sort();
+  const key = sorted.join('');
+  if (key === '0123456') return 'Every day';
+  if (key === '12345') return 'Weekdays';
+  if (key === '06') return 'Weekends';
+  return sorted.map((day) => WEEKDAYS[day]).join(', ');
+};
+
+// e.g. "Weekdays 08:00–18:00"
+export const describeSchedule = ({ schedule }) =>
+  schedule ? `${describeDays(schedule.days)} ${schedule.start}–${schedule.end}` : '';
@@ -0,0 +1,35 @@
+import { idbGet, idbPut } from '../idb';
+
+// Two-level response cache: an in-memory Map in front of IndexedDB so
+// cached prices survive reloads. Entries are keyed by full request URL
+// (backend base included) and judged fresh or stale by the caller's TTL.
+
+const STORE = 'responses';
+
+// Anything older than this is not worth showing even as stale.
+const MAX_STALE_AGE = 24 * 60 * 60 * 1000;
+
+const memory = new Map();
+
+export const readCache = async (key) => {
+  let entry = memory.get(key);
+  if (!entry) {
+    try {
+      entry = await idbGet(STORE, key);
+    } catch (error) {
+      console.warn('Response cache read failed:', error);
+    }
+    if (entry) memory.set(key, entry);
+  }
+  if (!entry || Date.now() - entry.fetchedAt > MAX_STALE_AGE) return null;
+  return entry;
+};
+
+export const writeCache = (key, data) => {
+  const entry = { data, fetchedAt: Date.now() };
+  memory.set(key, entry);
+  idbPut(STORE, key, entry).catch((error) => console.warn('Response cache write failed:', error));
+  return entry;
+};
+
+export const isFresh = (entry, ttl) => Date.now() - entry.fetchedAt < ttl;
@@ -0,0 +1,212 @@
+import { getApiBase, isMockBase } from '../config';
+
+// HTTP client for the pricing backend.
+//
+// Every request gets its own AbortController-based timeout, transient
+// failures (timeouts, network errors, 429 and 5xx) are retried with
+// exponential backoff, and anything that still fails is thrown as an
+// ApiError carrying a machine-readable `kind` the UI can render.
+
+export const ERROR_KINDS = {
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  RATE_LIMITED: 'rate_limited',
+  NOT_FOUND: 'not_found',
+  COLD_START: 'cold_start',
+  SERVER: 'server',
+  HTTP: 'http',
+  PARSE: 'parse',
+  ABORTED: 'aborted',
+};
+
+const RETRYABLE_KINDS = new Set([
+  ERROR_KINDS.TIMEOUT,
+  ERROR_KINDS.NETWORK,
+  ERROR_KINDS.RATE_LIMITED,
+  ERROR_KINDS.COLD_START,
+  ERROR_KINDS.SERVER,
+]);
+
+// Render answers with these while a free-tier instance is spinning up.
+const COLD_START_STATUSES = new Set([502, 503, 504]);
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE = 500;
+const BACKOFF_MAX = 8000;
+
+export class ApiError extends Error {
+  constructor({ kind, endpoint, status = null, retryAfter = null, message, cause }) {
+    super(message || `${kind} error on ${endpoint}`);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.endpoint = endpoint;
+    this.retryAfter = retryAfter;
+    if (cause) this.cause = cause;
+  }
+
+  get retryable() {
+    return RETRYABLE_KINDS.has(this.kind);
+  }
+}
+
+export const isApiError = (error) => error instanceof ApiError;
+
+// Retry-After is either delta-seconds or an HTTP date; returns seconds.
+const parseRetryAfter = (header) => {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, Math.round((date - Date.now()) / 1000));
+};
+
+const kindForStatus = (status) => {
+  if (status === 404) return ERROR_KINDS.NOT_FOUND;
+  if (status === 429) return ERROR_KINDS.RATE_LIMITED;
+  if (COLD_START_STATUSES.has(status)) return ERROR_KINDS.COLD_START;
+  if (status >= 500) return ERROR_KINDS.SERVER;
+  return ERROR_KINDS.HTTP;
+};
+
+const backoffDelay = (attempt, error) => {
+  if (error.retryAfter !== null) return Math.min(error.retryAfter * 1000, BACKOFF_MAX * 4);
+  const exp = Math.min(BACKOFF_BASE * 2 ** attempt, BACKOFF_MAX);
+  return exp / 2 + Math.random() * (exp / 2);
+};
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+export const buildUrl = (path, params, base = getApiBase()) => {
+  const query = params
+    ? Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+        .join('&')
+    : '';
+  return `${base}${path}${query ? `?${query}` : ''}`;
+};
+
+// mock:// backends are served in-process; the mock is only loaded when used.
+const getTransport = async (base) => {
+  if (!isMockBase(base)) return fetch;
+  const { mockFetch } = await import('../mock/backend');
+  return mockFetch;
+};
+
+const abortedError = (path, cause) =>
+  new ApiError({ kind: ERROR_KINDS.ABORTED, endpoint: path, message: `Request to ${path} was cancelled`, cause });
+
+const attemptRequest = async (path, { params, method, body, base, timeout, signal }) => {
+  const transport = await getTransport(base);
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    let response;
+    try {
+      response = await transport(buildUrl(path, params, base), {
+        method,
+        signal: controller.signal,
+        ...(body !== undefined && {
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        }),
+      });
+    } catch (err) {
+      if (timedOut) {
+        throw new ApiError({ kind: ERROR_KINDS.TIMEOUT, endpoint: path, message: `Request to ${path} timed out after ${timeout}ms`, cause: err });
+      }
+      if (signal?.aborted) {
+        throw abortedError(path, err);
+      }
+      throw new ApiError({ kind: ERROR_KINDS.NETWORK, endpoint: path, message: `Network error calling ${path}`, cause: err });
+    }
+
+    if (!response.ok) {
+      throw new ApiError({
+        kind: kindForStatus(response.status),
+        endpoint: path,
+        status: response.status,
+        retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+        message: `${path} responded ${response.status}`,
+      });
+    }
+
+    if (response.status === 204) return null;
+    try {
+      return await response.json();
+    } catch (err) {
+      if (signal?.aborted) {
+        throw abortedError(path, err);
+      }
+      throw new ApiError({ kind: ERROR_KINDS.PARSE, endpoint: path, status: response.status, message: `Invalid JSON from ${path}`, cause: err });
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+// `body` is sent as JSON. `base` targets a server other than the backend.
+export const request = async (
+  path,
+  { params, method = 'GET', body, base = getApiBase(), timeout = DEFAULT_TIMEOUT, retries = DEFAULT_RETRIES, signal } = {},
+) => {
+  // An already-aborted signal never fires 'abort', so it must be checked here
+  if (signal?.aborted) throw abortedError(path, signal.reason);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await attemptRequest(path, { params, method, body, base, timeout, signal });
+    } catch (error) {
+      if (!isApiError(error) || !error.retryable || attempt >= retries || signal?.aborted) {
+        throw error;
+      }
+      try {
+        await sleep(backoffDelay(attempt, error), signal);
+      } catch (abortReason) {
+        throw abortedError(path, abortReason);
+      }
+    }
+  }
+};
+
+export const describeApiError = (error) => {
+  if (!isApiError(error)) return 'Unexpected error';
+  switch (error.kind) {
+    case ERROR_KINDS.TIMEOUT: return 'Backend took too long to respond';
+    case ERROR_KINDS.NETWORK: return 'Cannot reach backend';
+    case ERROR_KINDS.RATE_LIMITED:
+      return error.retryAfter !== null
+        ? `Rate limited, retry in ${error.retryAfter}s`
+        : 'Rate limited, try again shortly';
+    case ERROR_KINDS.NOT_FOUND: return 'Not available for this coin';
+    case ERROR_KINDS.COLD_START: return 'Backend is waking up, retrying soon';
+    case ERROR_KINDS.SERVER: return `Backend error (${error.status})`;
+    case ERROR_KINDS.PARSE: return 'Malformed response from backend';
+    case ERROR_KINDS.ABORTED: return 'Request cancelled';
+    default: return error.status ? `Request failed (${error.status})` : 'Request failed';
+  }
+};
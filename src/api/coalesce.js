@@ -0,0 +1,59 @@
+import { ApiError, ERROR_KINDS } from './client';
+
+// Request coalescing: concurrent callers asking for the same URL share one
+// network request and one result. Each caller can still cancel with its own
+// AbortSignal; the shared request is only aborted once every caller has
+// walked away, so the price cards switching coins can't cancel a quote the
+// alert monitor is still waiting on.
+
+const inflight = new Map();
+
+export const coalesce = (key, endpoint, fetcher, signal) => {
+  if (signal?.aborted) {
+    return Promise.reject(new ApiError({ kind: ERROR_KINDS.ABORTED, endpoint, message: `Request to ${endpoint} was cancelled` }));
+  }
+
+  let entry = inflight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, subscribers: 0 };
+    entry.promise = fetcher(controller.signal).finally(() => {
+      if (inflight.get(key) === entry) inflight.delete(key);
+    });
+    inflight.set(key, entry);
+  }
+  const shared = entry;
+  shared.subscribers++;
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const leave = () => {
+      settled = true;
+      shared.subscribers--;
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      if (settled) return;
+      leave();
+      if (shared.subscribers === 0) {
+        shared.controller.abort();
+        if (inflight.get(key) === shared) inflight.delete(key);
+      }
+      reject(new ApiError({ kind: ERROR_KINDS.ABORTED, endpoint, message: `Request to ${endpoint} was cancelled` }));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    shared.promise.then(
+      (data) => {
+        if (settled) return;
+        leave();
+        resolve(data);
+      },
+      (error) => {
+        if (settled) return;
+        leave();
+        reject(error);
+      },
+    );
+  });
+};
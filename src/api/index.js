@@ -0,0 +1,84 @@
+import { request, buildUrl } from './client';
+import { readCache, writeCache, isFresh } from './cache';
+import { coalesce } from './coalesce';
+import { getPushApiBase } from '../config';
+
+export { ApiError, ERROR_KINDS, isApiError, describeApiError } from './client';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Even a forced refresh reuses a response this recent, so a manual refresh
+// landing right after an alert-monitor tick doesn't quote the coin twice.
+const COALESCE_WINDOW = 2 * SECOND;
+
+// Endpoint descriptors. Spot/DEX quotes move fast so they are only cached
+// for seconds; history changes slowly and is cached for minutes. History
+// payloads are large and Render cold starts can take ~30s, so it also gets
+// a longer timeout than the quote endpoints.
+const endpoints = {
+  spotPrice: (symbol) => ({ path: '/price/spot', params: { coin: symbol }, ttl: 15 * SECOND, timeout: 8000 }),
+  dexQuote: (symbol) => ({
+    path: '/dex/paraswap_quote',
+    params: { sell_token: 'USDC', buy_token: symbol.toUpperCase(), amount: 10000 },
+    ttl: 15 * SECOND,
+    timeout: 8000,
+  }),
+  bestPrice: (symbol) => ({ path: '/best_price', params: { symbol }, ttl: 15 * SECOND, timeout: 8000 }),
+  ethGas: () => ({ path: '/fees/eth', ttl: 30 * SECOND, timeout: 8000 }),
+  history: (symbol, days = 7) => ({
+    path: `/history/${symbol}`,
+    params: { days },
+    ttl: (days === 1 ? 5 : 15) * MINUTE,
+    timeout: 20000,
+  }),
+};
+
+// Serves a fresh cache entry without touching the network; otherwise
+// fetches (joining any identical request already in flight) and stores the
+// result. Pass `force: true` to bypass the cache.
+const fetchCached = async ({ path, params, ttl, timeout }, { force = false, signal, ...options } = {}) => {
+  const key = buildUrl(path, params);
+  const entry = await readCache(key);
+  if (entry && isFresh(entry, force ? COALESCE_WINDOW : ttl)) return entry.data;
+
+  return coalesce(key, path, async (sharedSignal) => {
+    const data = await request(path, { params, timeout, ...options, signal: sharedSignal });
+    writeCache(key, data);
+    return data;
+  }, signal);
+};
+
+// Resolves whatever is cached, fresh or not, as { data, fetchedAt, stale },
+// or null. Used to paint instantly before revalidating.
+const peekCached = async ({ path, params, ttl }) => {
+  const entry = await readCache(buildUrl(path, params));
+  return entry ? { data: entry.data, fetchedAt: entry.fetchedAt, stale: !isFresh(entry, ttl) } : null;
+};
+
+// Web Push subscription calls (see src/push.js); never cached.
+const pushRequest = (path, options) => request(path, { base: getPushApiBase(), timeout: 8000, ...options });
+
+export const api = {
+  spotPrice: (symbol, options) => fetchCached(endpoints.spotPrice(symbol), options),
+  dexQuote: (symbol, options) => fetchCached(endpoints.dexQuote(symbol), options),
+  bestPrice: (symbol, options) => fetchCached(endpoints.bestPrice(symbol), options),
+  ethGas: (options) => fetchCached(endpoints.ethGas(), options),
+  history: (symbol, days = 7, options) => fetchCached(endpoints.history(symbol, days), options),
+
+  peek: {
+    spotPrice: (symbol) => peekCached(endpoints.spotPrice(symbol)),
+    dexQuote: (symbol) => peekCached(endpoints.dexQuote(symbol)),
+    bestPrice: (symbol) => peekCached(endpoints.bestPrice(symbol)),
+    ethGas: () => peekCached(endpoints.ethGas()),
+    history: (symbol, days = 7) => peekCached(endpoints.history(symbol, days)),
+  },
+
+  push: {
+    vapidKey: (options) => pushRequest('/push/vapid_public_key', options),
+    subscribe: (subscription, alerts, options) =>
+      pushRequest('/push/subscribe', { method: 'POST', body: { subscription, alerts }, ...options }),
+    unsubscribe: (endpoint, options) =>
+      pushRequest('/push/unsubscribe', { method: 'POST', body: { endpoint }, ...options }),
+  },
+};
@@ -0,0 +1,50 @@
+import { api } from './index';
+
+// Price derivation shared by the cards, the alert monitor and the stream's
+// polling fallback. All of them go through the same cached, coalesced api
+// calls, so they never quote the same coin twice at once.
+
+// ParaSwap quotes how many tokens 10,000 USDC buys; invert to a USD price.
+export const parseDexPrice = (quote) => {
+  if (!quote?.price?.destAmount || parseInt(quote.price.destAmount) <= 0) return null;
+  const price = 10000 / (parseInt(quote.price.destAmount) / 10 ** quote.price.destDecimals);
+  return isNaN(price) || !isFinite(price) ? null : price;
+};
+
+// Turns the raw endpoint payloads into the numbers shown on the cards.
+export const derivePrices = (symbol, { spot, dex, best, ethGas }) => {
+  const gasFee =
+    dex?.price?.gasCostUSD
+      ? parseFloat(dex.price.gasCostUSD)
+      : symbol === 'eth' && ethGas?.result?.ProposeGasPrice
+      ? parseFloat(ethGas.result.ProposeGasPrice) * 0.000000001 * 21000 * 4000
+      : null;
+
+  return {
+    spot: spot?.price || null,
+    dex: parseDexPrice(dex),
+    best: best?.best_price?.price_usd || null,
+    gas: gasFee,
+    gasGwei: symbol === 'eth' && ethGas?.result?.ProposeGasPrice ? parseFloat(ethGas.result.ProposeGasPrice) : null,
+  };
+};
+
+// All card prices for one coin. Sources that fail are left out of the
+// result and reported in `errors` instead of throwing.
+export const fetchPriceSnapshot = async (symbol, options) => {
+  const results = await Promise.allSettled([
+    api.spotPrice(symbol, options),
+    api.dexQuote(symbol, options),
+    api.bestPrice(symbol, options),
+    symbol === 'eth' ? api.ethGas(options) : Promise.resolve(null),
+  ]);
+  const [spot, dex, best, ethGas] = results.map((r) => (r.status === 'fulfilled' ? r.value : null));
+  const derived = derivePrices(symbol, { spot, dex, best, ethGas });
+  const errors = results.map((r) => (r.status === 'rejected' ? r.reason : null)).filter(Boolean);
+
+  const snapshot = { timestamp: Date.now() };
+  ['spot', 'dex', 'best', 'gas', 'gasGwei'].forEach((key) => {
+    if (derived[key] !== null) snapshot[key] = derived[key];
+  });
+  return { snapshot, errors };
+};
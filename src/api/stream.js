@@ -0,0 +1,220 @@
+import { getApiBase, isMockBase } from '../config';
+import { buildUrl } from './client';
+import { fetchPriceSnapshot } from './prices';
+
+// Live price subscription.
+//
+// Prefers the backend's Server-Sent Events feed at /stream/prices, which
+// pushes one `price` event per coin:
+//   { "symbol": "eth", "spot": 2345.6, "dex": 2351.2, "best": 2348.5, "gas": 4.1 }
+// ETH events may also carry "gasGwei", the proposed gas price.
+// The stream is per coin, not per alert: any number of alerts on the same
+// coin share one subscription.
+// If the feed can't be opened (no EventSource, backend without the route,
+// repeated drops) the stream falls back to polling the REST endpoints and
+// periodically tries to upgrade back to SSE.
+
+export const STREAM_STATUS = {
+  CONNECTING: 'connecting',
+  LIVE: 'live',
+  RECONNECTING: 'reconnecting',
+  POLLING: 'polling',
+  SIMULATED: 'simulated',
+  CLOSED: 'closed',
+};
+
+const MAX_SSE_ATTEMPTS = 3;
+const RECONNECT_BASE = 1000;
+const RECONNECT_MAX = 30000;
+const SSE_RETRY_INTERVAL = 2 * 60 * 1000;
+const DEFAULT_POLL_INTERVAL = 15000;
+// Coins polled in parallel; larger watchlists are polled in batches.
+const POLL_BATCH_SIZE = 4;
+
+const PRICE_FIELDS = ['spot', 'dex', 'best', 'gas', 'gasGwei'];
+
+// The mock backend has no SSE route, so it always polls.
+const canStream = () => typeof EventSource !== 'undefined' && !isMockBase(getApiBase());
+
+const parseEvent = (raw) => {
+  try {
+    const message = JSON.parse(raw);
+    if (!message?.symbol) return null;
+    const snapshot = { timestamp: message.timestamp || Date.now() };
+    PRICE_FIELDS.forEach((key) => {
+      const value = Number(message[key]);
+      if (message[key] !== null && message[key] !== undefined && isFinite(value) && value > 0) {
+        snapshot[key] = value;
+      }
+    });
+    return { symbol: String(message.symbol).toLowerCase(), snapshot };
+  } catch {
+    return null;
+  }
+};
+
+export const createPriceStream = ({ onSnapshot, onStatus, onError, pollInterval = DEFAULT_POLL_INTERVAL }) => {
+  let symbols = [];
+  let source = null;
+  let status = null;
+  let attempts = 0;
+  let reconnectTimer = null;
+  let pollTimer = null;
+  let upgradeTimer = null;
+  let pollController = null;
+  let closed = false;
+
+  const setStatus = (next) => {
+    if (next === status) return;
+    status = next;
+    onStatus?.(next);
+  };
+
+  const closeSource = () => {
+    if (source) {
+      source.close();
+      source = null;
+    }
+  };
+
+  const stopPolling = () => {
+    clearInterval(pollTimer);
+    clearTimeout(upgradeTimer);
+    pollTimer = null;
+    upgradeTimer = null;
+    pollController?.abort();
+    pollController = null;
+  };
+
+  const poll = async () => {
+    if (symbols.length === 0) return;
+    pollController?.abort();
+    const controller = new AbortController();
+    pollController = controller;
+    const pending = [...symbols];
+    while (pending.length > 0 && !controller.signal.aborted) {
+      await Promise.all(pending.splice(0, POLL_BATCH_SIZE).map(async (symbol) => {
+        const { snapshot, errors } = await fetchPriceSnapshot(symbol, { signal: controller.signal });
+        if (controller.signal.aborted) return;
+        errors.forEach((error) => onError?.(error, symbol));
+        if (Object.keys(snapshot).length > 1) onSnapshot(symbol, snapshot);
+      }));
+    }
+  };
+
+  const startPolling = () => {
+    closeSource();
+    setStatus(STREAM_STATUS.POLLING);
+    if (!pollTimer) {
+      poll();
+      pollTimer = setInterval(poll, pollInterval);
+    }
+    if (canStream()) {
+      clearTimeout(upgradeTimer);
+      upgradeTimer = setTimeout(() => {
+        attempts = 0;
+        connect();
+      }, SSE_RETRY_INTERVAL);
+    }
+  };
+
+  const scheduleReconnect = () => {
+    attempts++;
+    if (attempts >= MAX_SSE_ATTEMPTS) {
+      startPolling();
+      return;
+    }
+    setStatus(STREAM_STATUS.RECONNECTING);
+    const delay = Math.min(RECONNECT_BASE * 2 ** attempts, RECONNECT_MAX);
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  function connect() {
+    closeSource();
+    clearTimeout(reconnectTimer);
+    if (closed || symbols.length === 0) return;
+    if (!canStream()) {
+      startPolling();
+      return;
+    }
+
+    if (status !== STREAM_STATUS.POLLING) setStatus(STREAM_STATUS.CONNECTING);
+    const es = new EventSource(buildUrl('/stream/prices', { symbols: symbols.join(',') }));
+    source = es;
+
+    es.onopen = () => {
+      attempts = 0;
+      stopPolling();
+      setStatus(STREAM_STATUS.LIVE);
+    };
+    const handleMessage = (event) => {
+      const parsed = parseEvent(event.data);
+      if (parsed) onSnapshot(parsed.symbol, parsed.snapshot);
+    };
+    es.addEventListener('price', handleMessage);
+    es.onmessage = handleMessage;
+    // EventSource retries on its own, but with no backoff and no way to
+    // tell a missing route from a blip, so take over reconnection.
+    es.onerror = () => {
+      if (source !== es) return;
+      closeSource();
+      if (status === STREAM_STATUS.POLLING) {
+        startPolling();
+      } else {
+        scheduleReconnect();
+      }
+    };
+  }
+
+  return {
+    setSymbols(next) {
+      const normalized = [...new Set(next.map((s) => s.toLowerCase()))].sort();
+      if (normalized.join(',') === symbols.join(',')) return;
+      symbols = normalized;
+      if (symbols.length === 0) {
+        closeSource();
+        stopPolling();
+        return;
+      }
+      if (status === STREAM_STATUS.POLLING) {
+        poll();
+      } else {
+        attempts = 0;
+        connect();
+      }
+    },
+
+    close() {
+      closed = true;
+      closeSource();
+      stopPolling();
+      clearTimeout(reconnectTimer);
+      setStatus(STREAM_STATUS.CLOSED);
+    },
+  };
+};
+
+// Same interface as createPriceStream, fed by the market simulator instead
+// of the backend. Used in demo mode so cards and alerts keep ticking.
+export const createSimulatedStream = ({ simulator, onSnapshot, onStatus }) => {
+  let symbols = [];
+  const tick = () => {
+    const now = Date.now();
+    symbols.forEach((symbol) => onSnapshot(symbol, simulator.snapshot(symbol, now)));
+  };
+  const timer = setInterval(tick, simulator.tickMs);
+  onStatus?.(STREAM_STATUS.SIMULATED);
+
+  return {
+    setSymbols(next) {
+      symbols = [...new Set(next.map((s) => s.toLowerCase()))];
+      tick();
+    },
+
+    close() {
+      clearInterval(timer);
+      onStatus?.(STREAM_STATUS.CLOSED);
+    },
+  };
+};
@@ -1,28 +1,104 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { RefreshCw, Clock, Bell, X } from 'lucide-react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip } from 'recharts';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { RefreshCw, Clock, Bell, X, Settings, Pencil, Pause, Play, BellOff, Volume2 } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine } from 'recharts';
+import { getApiBase, setApiBaseOverride, describeBackend, getDemoSeed, setDemoSeed, getAlertLimits, setAlertLimits, getSoundSettings, setSoundSettings } from './config';
+import { api, describeApiError, ERROR_KINDS } from './api';
+import { derivePrices } from './api/prices';
+import { createPriceStream, createSimulatedStream, STREAM_STATUS } from './api/stream';
+import { getSimulator } from './mock/market';
+import { evaluate, applyTransitions, collectExpired, isSnoozed, isSuspended } from './alerts/engine';
+import {
+  ALERT_KINDS,
+  GAS_METRICS,
+  SOURCE_KEYS,
+  TRAIL_UNITS,
+  alertKind,
+  describeAlert,
+  formatPercent,
+  formatReading,
+  formatWindow,
+  isValidPrice,
+  lookbackFor,
+  needsSamples,
+  referencePrice,
+  spreadFor,
+  trailingLevel,
+  triggerLevels,
+} from './alerts/kinds';
+import { createSampleStore } from './alerts/samples';
+import {
+  REPEAT_MODES,
+  describeRepeat,
+  isArmed,
+  needsResetLevel,
+  repeatMode,
+  resetIsPercent,
+  supportsHysteresis,
+} from './alerts/repeat';
+import { alertSymbols, expressionSymbols, newGroup, validateExpression } from './alerts/compound';
+import { WEEKDAYS, describeSchedule, inSchedule, localTimeZone } from './alerts/schedule';
+import {
+  createToastAdapter,
+  createBrowserNotificationAdapter,
+  createCueAdapter,
+  dispatchTriggers,
+  toExpiredHistoryEntry,
+  toHistoryEntry,
+} from './alerts/adapters';
+import {
+  CHANNEL_LABELS,
+  DELIVERY_STATUS,
+  alertChannels,
+  deliverToChannels,
+  describeDelivery,
+  pendingDeliveries,
+  validateChannel,
+} from './alerts/channels';
+import { SOUND_PROFILES, SOUND_PROFILE_LABELS, alertCue } from './alerts/cues';
+import { createReplay, parseRecordedSeries } from './replay';
+import { playCue, previewProfile, unlockAudio } from './sound';
+import { clearDeepLink, readDeepLink } from './deepLink';
+import SettingsModal from './components/SettingsModal';
+import ReplayPanel from './components/ReplayPanel';
+import ConditionBuilder from './components/ConditionBuilder';
+import ChannelEditor from './components/ChannelEditor';
+import { useNow } from './hooks/useNow';
+import { useAutoRefresh } from './hooks/useAutoRefresh';
+import { useBackgroundMonitor } from './hooks/useBackgroundMonitor';
+import { usePushSubscription } from './hooks/usePushSubscription';
 
-const API_BASE = 'https://crypto-pricing-forecast-backend.onrender.com';
+const EXPIRY_SWEEP_INTERVAL = 15000;
 
-const api = {
-  spotPrice: (symbol) =>
-    fetch(`${API_BASE}/price/spot?coin=${symbol}`).then((r) => r.json()).catch(() => null),
+// Consolidated prices older than this are left out of alert checks
+const MAX_SNAPSHOT_AGE = 5 * 60 * 1000;
 
-  dexQuote: (symbol) =>
-    fetch(`${API_BASE}/dex/paraswap_quote?sell_token=USDC&buy_token=${symbol.toUpperCase()}&amount=10000`)
-      .then((r) => r.json())
-      .catch(() => null),
+const COIN_SYMBOLS = [
+  'eth', 'btc', 'sol', 'usdt', 'ada', 'matic', 'avax', 'dot', 'link', 'uni',
+  'xrp', 'doge', 'trx', 'ltc', 'bch', 'etc', 'xlm', 'algo', 'atom', 'icp',
+];
 
-  bestPrice: (symbol) =>
-    fetch(`${API_BASE}/best_price?symbol=${symbol}`).then((r) => r.json()).catch(() => null),
+const REFRESH_INTERVALS = [
+  { label: 'Off', ms: 0 },
+  { label: '10s', ms: 10000 },
+  { label: '30s', ms: 30000 },
+  { label: '1m', ms: 60000 },
+  { label: '5m', ms: 300000 },
+];
 
-  ethGas: () =>
-    fetch(`${API_BASE}/fees/eth`).then((r) => r.json()).catch(() => null),
+const formatAge = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  if (seconds < 5) return 'just now';
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  return `${Math.floor(seconds / 3600)}h ago`;
+};
 
-  history: (symbol, days = 7) =>
-    fetch(`${API_BASE}/history/${symbol}?days=${days}`)
-      .then((r) => r.json())
-      .catch(() => null),
+const formatTimeLeft = (ms) => {
+  const minutes = Math.max(0, Math.ceil(ms / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
 };
 
 const formatChartDate = (timestamp, days) => {
@@ -50,6 +126,26 @@ const downsampleData = (data, maxPoints = 100) => {
   return data.filter((_, index) => index % step === 0);
 };
 
+const toChartData = (response, days) => {
+  if (!response?.prices || !Array.isArray(response.prices)) return [];
+  const rawData = response.prices
+    .filter(([timestamp, price]) => timestamp && price && !isNaN(price))
+    .map(([timestamp, price]) => ({
+      timestamp,
+      time: formatChartDate(timestamp, days),
+      price: Number(price),
+    }));
+  return downsampleData(rawData, 150);
+};
+
+// Chart period whose date labels suit a replayed series: times of day up to
+// a day, weekdays up to a week, dates beyond that
+const replayChartDays = (series) => {
+  const spanDays = (series[series.length - 1][0] - series[0][0]) / (24 * 60 * 60 * 1000);
+  if (spanDays <= 1) return 1;
+  return spanDays <= 7 ? 7 : 30;
+};
+
 const periodLabel = (days) => {
   if (days === 1) return '24-Hour';
   if (days === 7) return '7-Day';
@@ -67,6 +163,28 @@ const ChartSkeleton = () => (
   </div>
 );
 
+// Active Backend Indicator
+const BackendBadge = ({ apiBase, onClick }) => {
+  const backend = describeBackend(apiBase);
+  const colors = {
+    production: 'bg-green-100 text-green-800 border-green-300',
+    staging: 'bg-yellow-100 text-yellow-800 border-yellow-300',
+    local: 'bg-purple-100 text-purple-800 border-purple-300',
+    mock: 'bg-gray-100 text-gray-700 border-gray-300',
+    custom: 'bg-purple-100 text-purple-800 border-purple-300',
+  };
+
+  return (
+    <button
+      onClick={onClick}
+      className={`text-xs px-2 py-1 rounded-full border font-medium ${colors[backend.id] || colors.custom}`}
+      title={`Backend: ${apiBase}`}
+    >
+      {backend.label.toUpperCase()} · {backend.host}
+    </button>
+  );
+};
+
 // Toast Notification Component
 const Toast = ({ show, message, onClose }) => {
   if (!show) return null;
@@ -84,7 +202,7 @@ const Toast = ({ show, message, onClose }) => {
 };
 
 // Status Display Component
-const StatusPanel = ({ monitoringStatus, connectionStatus, lastMonitorTime, alertCount, testMode, setTestMode }) => {
+const StatusPanel = ({ monitoringStatus, connectionStatus, streamStatus, lastMonitorTime, alertCount, maxAlerts, testMode, setTestMode, replayTime }) => {
   const getStatusColor = (status) => {
     switch (status) {
       case 'monitoring': return 'text-green-600';
@@ -106,6 +224,15 @@ const StatusPanel = ({ monitoringStatus, connectionStatus, lastMonitorTime, aler
     }
   };
 
+  const streamBadges = {
+    [STREAM_STATUS.LIVE]: { text: 'Live', className: 'bg-green-100 text-green-800', dot: 'bg-green-500 animate-pulse' },
+    [STREAM_STATUS.POLLING]: { text: 'Polling', className: 'bg-yellow-100 text-yellow-800', dot: 'bg-yellow-500' },
+    [STREAM_STATUS.SIMULATED]: { text: 'Demo (simulated)', className: 'bg-blue-100 text-blue-800', dot: 'bg-blue-500 animate-pulse' },
+    [STREAM_STATUS.CONNECTING]: { text: 'Connecting...', className: 'bg-gray-100 text-gray-600', dot: 'bg-gray-400 animate-pulse' },
+    [STREAM_STATUS.RECONNECTING]: { text: 'Reconnecting...', className: 'bg-orange-100 text-orange-800', dot: 'bg-orange-500 animate-pulse' },
+  };
+  const streamBadge = replayTime ? null : streamBadges[streamStatus];
+
   return (
     <div className="bg-white rounded-lg shadow-sm border p-4 mb-4">
       <div className="flex items-center justify-between flex-wrap gap-4">
@@ -122,7 +249,7 @@ const StatusPanel = ({ monitoringStatus, connectionStatus, lastMonitorTime, aler
           
           <div className="text-sm text-gray-500">
             {alertCount} alert{alertCount !== 1 ? 's' : ''} active
-            {alertCount >= 15 && <span className="text-red-500 ml-1">(MAX)</span>}
+            {alertCount >= maxAlerts && <span className="text-red-500 ml-1">(MAX)</span>}
           </div>
           
           {lastMonitorTime && (
@@ -133,6 +260,21 @@ const StatusPanel = ({ monitoringStatus, connectionStatus, lastMonitorTime, aler
         </div>
         
         <div className="flex items-center space-x-2">
+          {replayTime && (
+            <div className="text-xs px-2 py-1 rounded bg-purple-600 text-white font-bold tracking-wide" title="Prices are replayed, not live">
+              REPLAY · {new Date(replayTime).toLocaleString()}
+            </div>
+          )}
+          {streamBadge && (
+            <div
+              className={`text-xs px-2 py-1 rounded flex items-center space-x-1 ${streamBadge.className}`}
+              title="Price feed"
+            >
+              <span className={`w-2 h-2 rounded-full ${streamBadge.dot}`}></span>
+              <span>{streamBadge.text}</span>
+            </div>
+          )}
+          
           <label className="flex items-center space-x-2 text-sm">
             <input
               type="checkbox"
@@ -149,6 +291,12 @@ const StatusPanel = ({ monitoringStatus, connectionStatus, lastMonitorTime, aler
         </div>
       </div>
       
+      {replayTime && (
+        <div className="mt-2 text-sm text-purple-700 bg-purple-50 p-2 rounded">
+          ⏪ Replay mode - prices shown are historical, not the live market
+        </div>
+      )}
+      
       {testMode && (
         <div className="mt-2 text-sm text-orange-600 bg-orange-50 p-2 rounded">
           🧪 Test mode active - alerts won't be removed when triggered
@@ -159,8 +307,25 @@ const StatusPanel = ({ monitoringStatus, connectionStatus, lastMonitorTime, aler
 };
 
 // Notification History Component
-const NotificationHistory = ({ history, onClear }) => {
+const DELIVERY_STYLES = {
+  [DELIVERY_STATUS.PENDING]: 'text-yellow-700',
+  [DELIVERY_STATUS.DELIVERED]: 'text-green-700',
+  [DELIVERY_STATUS.SENT]: 'text-green-700',
+  [DELIVERY_STATUS.FAILED]: 'text-red-600',
+};
+
+const HIGHLIGHT_CLASS = 'ring-2 ring-blue-500';
+// How long an alert opened from a notification stays highlighted
+const HIGHLIGHT_MS = 8000;
+
+// Entries written without a price (e.g. pushed alerts) show a dash
+const historyPrice = (value) => (typeof value === 'number' ? `$${value.toFixed(2)}` : '—');
+
+const NotificationHistory = ({ history, onClear, highlightedAlertId }) => {
   if (history.length === 0) return null;
+  const highlightedEntryId = highlightedAlertId != null
+    ? history.slice(0, 10).find(notif => notif.alertId === highlightedAlertId)?.id
+    : undefined;
 
   return (
     <div className="bg-white rounded-lg shadow-md p-6 mt-6">
@@ -175,16 +340,36 @@ const NotificationHistory = ({ history, onClear }) => {
       </div>
       <div className="space-y-2 max-h-60 overflow-y-auto">
         {history.slice(0, 10).map(notif => (
-          <div key={notif.id} className="flex items-center justify-between p-2 bg-gray-50 rounded text-sm">
+          <div
+            key={notif.id}
+            id={notif.id === highlightedEntryId ? `notification-alert-${highlightedAlertId}` : undefined}
+            className={`flex items-center justify-between p-2 bg-gray-50 rounded text-sm ${notif.id === highlightedEntryId ? HIGHLIGHT_CLASS : ''}`}
+          >
             <div>
               {notif.isTest && <span className="text-orange-600 mr-1">🧪</span>}
+              {notif.isQuiet && <span className="mr-1" title="Quiet hours: no sound">🌙</span>}
+              {notif.isReplay && <span className="text-purple-600 mr-1" title="Replay">⏪</span>}
+              {notif.isExpired && <span className="text-gray-500 mr-1" title="Expired">⌛</span>}
               <span className="font-medium">{notif.symbol}</span>
               <span className="mx-1 text-xs px-1 py-0.5 bg-blue-100 text-blue-800 rounded">
                 {notif.source}
               </span>
-              <span className="text-gray-600">
-                {notif.type} ${notif.targetPrice.toFixed(2)} → ${notif.currentPrice.toFixed(2)}
-              </span>
+              {notif.isExpired ? (
+                <span className="text-gray-500 italic">{notif.condition} · expired without firing</span>
+              ) : (
+                <span className="text-gray-600">
+                  {notif.condition || `${notif.type} ${historyPrice(notif.targetPrice)}`} → {notif.reading || historyPrice(notif.currentPrice)}
+                </span>
+              )}
+              {notif.deliveries?.length > 0 && (
+                <div className="text-xs mt-0.5 flex flex-wrap gap-x-3">
+                  {notif.deliveries.map(delivery => (
+                    <span key={delivery.channelId} className={DELIVERY_STYLES[delivery.status]}>
+                      📣 {CHANNEL_LABELS[delivery.type]}: {describeDelivery(delivery)}
+                    </span>
+                  ))}
+                </div>
+              )}
             </div>
             <span className="text-xs text-gray-400">{notif.timestamp}</span>
           </div>
@@ -194,11 +379,163 @@ const NotificationHistory = ({ history, onClear }) => {
   );
 };
 
+const ALERT_KIND_OPTIONS = [
+  { value: ALERT_KINDS.PRICE, label: 'Price target' },
+  { value: ALERT_KINDS.PERCENT_FROM_ENTRY, label: '% move from current price' },
+  { value: ALERT_KINDS.WINDOW_CHANGE, label: '% move within a time window' },
+  { value: ALERT_KINDS.CHANGE_24H, label: '24h change' },
+  { value: ALERT_KINDS.SPREAD, label: 'Spot vs DEX spread' },
+  { value: ALERT_KINDS.GAS, label: 'Ethereum gas' },
+  { value: ALERT_KINDS.TRAILING, label: 'Trailing stop' },
+  { value: ALERT_KINDS.COMPOUND, label: 'Combined conditions (AND/OR)' },
+];
+
+const ALERT_WINDOWS = [5, 15, 60, 240, 720].map(minutes => minutes * 60 * 1000);
+
+const validateThreshold = (threshold) => {
+  const value = parseFloat(threshold);
+  if (!threshold || isNaN(value)) return 'Please enter a threshold';
+  if (value <= 0) return 'Threshold must be greater than zero';
+  return '';
+};
+
+const EXPIRY_OPTIONS = [1, 4, 12, 24, 72, 168].map(hours => hours * 60 * 60 * 1000);
+
+const DEFAULT_SCHEDULE = { days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00' };
+
+// Timestamp <-> value of a datetime-local input, in local time
+const toLocalInput = (time) => {
+  const date = new Date(time);
+  return new Date(time - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const validateExpiry = (mode, at) => {
+  if (mode !== 'at') return '';
+  const time = new Date(at).getTime();
+  if (!at || isNaN(time)) return 'Please pick an expiry date and time';
+  if (time <= Date.now()) return 'Expiry must be in the future';
+  return '';
+};
+
+const validateSchedule = (enabled, schedule) => {
+  if (!enabled) return '';
+  if (schedule.days.length === 0) return 'Pick at least one day for the active hours';
+  if (!schedule.start || !schedule.end) return 'Please set the active hours';
+  return '';
+};
+
+const SNOOZE_OPTIONS = [15, 60, 240, 480, 1440].map(minutes => minutes * 60 * 1000);
+
+const COOLDOWN_OPTIONS = [1, 5, 15, 60, 240, 1440].map(minutes => minutes * 60 * 1000);
+
+// Hysteresis reset level must sit on the "not triggered" side of the alert
+const validateResetLevel = (draft) => {
+  const reset = draft.resetLevel;
+  if (isNaN(reset)) return 'Please enter a reset level';
+  if (resetIsPercent(draft)) {
+    if (reset < 0 || reset >= draft.percent) return `Reset level must be between 0% and ${draft.percent}%`;
+    return '';
+  }
+  const level = alertKind(draft) === ALERT_KINDS.GAS ? draft.threshold : draft.targetPrice;
+  if (reset <= 0) return 'Reset level must be greater than zero';
+  if (draft.type === 'above' && reset >= level) return 'Reset level must be below the target';
+  if (draft.type === 'below' && reset <= level) return 'Reset level must be above the target';
+  return '';
+};
+
+const validateTrail = (amount, unit, side, current) => {
+  const value = parseFloat(amount);
+  if (!amount || isNaN(value)) return 'Please enter a trailing distance';
+  if (value <= 0) return 'Trailing distance must be greater than zero';
+  if (side === 'high' && unit === TRAIL_UNITS.PERCENT && value >= 100) return 'Trailing distance must be less than 100%';
+  if (side === 'high' && unit === TRAIL_UNITS.USD && isValidPrice(current) && value >= current) {
+    return `Trailing distance must be less than the current price ($${current.toFixed(2)})`;
+  }
+  return '';
+};
+
+const validatePercent = (percent, direction) => {
+  const value = parseFloat(percent);
+  if (!percent || isNaN(value)) return 'Please enter a percentage';
+  if (value <= 0) return 'Percentage must be greater than zero';
+  if (direction !== 'up' && value >= 100) return 'A drop must be less than 100%';
+  if (value > 1000) return 'Percentage must be at most 1000%';
+  return '';
+};
+
+// Current spread next to the threshold of the spread alert being drafted
+const SpreadPreview = ({ draft, quote }) => {
+  const spread = spreadFor(quote);
+
+  if (!spread) {
+    return <p className="text-xs text-gray-500">Waiting for both spot and DEX prices.</p>;
+  }
+
+  return (
+    <div className="text-xs text-gray-600 bg-gray-50 rounded p-2">
+      <div>Current spread: {formatPercent(spread.gross)}</div>
+      {draft.netOfGas && (
+        <div>
+          Net of gas: {spread.net !== null ? formatPercent(spread.net) : 'gas fee unknown, alert will wait for it'}
+        </div>
+      )}
+      <div>Threshold: {describeAlert(draft)}</div>
+    </div>
+  );
+};
+
+// Implied trigger levels for the alert being drafted
+const AlertPreview = ({ draft, reference }) => {
+  const levels = triggerLevels(draft, reference);
+  const format = (value) => `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+  if (!isValidPrice(reference)) {
+    return (
+      <p className="text-xs text-gray-500">
+        Collecting price history — this alert activates once {formatWindow(lookbackFor(draft))} of prices are available.
+      </p>
+    );
+  }
+
+  return (
+    <div className="text-xs text-gray-600 bg-gray-50 rounded p-2">
+      <div>Reference: {format(reference)}</div>
+      {levels.up !== undefined && <div className="text-green-700">Fires at or above {format(levels.up)}</div>}
+      {levels.down !== undefined && <div className="text-red-700">Fires at or below {format(levels.down)}</div>}
+    </div>
+  );
+};
+
 // Enhanced Alert Modal Component
-const AlertModal = ({ show, onClose, currentPrice, symbol, alertPrice, setAlertPrice, alertType, setAlertType, setAlerts, setShowToast, setToastMessage, priceSource }) => {
+// With `editingAlert` set, the form starts from that alert and saves over it.
+const AlertModal = ({ onClose, currentPrice, symbol, alertPrice, setAlertPrice, alertType, setAlertType, setAlerts, setShowToast, setToastMessage, priceSource, samples, quote, gasReading, editingAlert = null, priceRangePercent, defaultSoundProfile }) => {
+  const editing = editingAlert || {};
+  const isGasEdit = alertKind(editing) === ALERT_KINDS.GAS;
   const [validationError, setValidationError] = useState('');
-  
-  if (!show) return null;
+  const [kind, setKind] = useState(editingAlert ? alertKind(editingAlert) : ALERT_KINDS.PRICE);
+  const [source, setSource] = useState(SOURCE_KEYS[editing.source] ? editing.source : priceSource);
+  const [percent, setPercent] = useState(editing.percent != null ? String(editing.percent) : '');
+  const [direction, setDirection] = useState(editing.direction || 'either');
+  const [windowMs, setWindowMs] = useState(editing.windowMs || ALERT_WINDOWS[2]);
+  const [netOfGas, setNetOfGas] = useState(!!editing.netOfGas);
+  const [gasMetric, setGasMetric] = useState(editing.metric || GAS_METRICS.GWEI);
+  const [gasType, setGasType] = useState(isGasEdit ? editing.type : 'below');
+  const [threshold, setThreshold] = useState(editing.threshold != null ? String(editing.threshold) : '');
+  const [repeat, setRepeat] = useState(repeatMode(editing));
+  const [cooldownMs, setCooldownMs] = useState(editing.cooldownMs || COOLDOWN_OPTIONS[2]);
+  const [resetLevel, setResetLevel] = useState(editing.resetLevel != null ? String(editing.resetLevel) : '');
+  const [expression, setExpression] = useState(editing.expression || newGroup(symbol));
+  const [side, setSide] = useState(editing.side || 'high');
+  const [trailUnit, setTrailUnit] = useState(editing.trailUnit || TRAIL_UNITS.PERCENT);
+  const [trailAmount, setTrailAmount] = useState(editing.trailAmount != null ? String(editing.trailAmount) : '');
+  // 'never', 'at' (a date and time) or a duration in ms as a string
+  const [expiryMode, setExpiryMode] = useState(editing.expiresAt != null ? 'at' : 'never');
+  const [expiryAt, setExpiryAt] = useState(editing.expiresAt != null ? toLocalInput(editing.expiresAt) : '');
+  const [scheduleEnabled, setScheduleEnabled] = useState(!!editing.schedule);
+  const [channels, setChannels] = useState(editing.channels || []);
+  // '' follows the global profile from Settings
+  const [sound, setSound] = useState(editing.sound || '');
+  const [schedule, setSchedule] = useState(editing.schedule || DEFAULT_SCHEDULE);
   
   const validatePrice = (price, current, alertType) => {
     const numPrice = parseFloat(price);
@@ -220,41 +557,133 @@ const AlertModal = ({ show, onClose, currentPrice, symbol, alertPrice, setAlertP
       return `"Below" alert must be lower than current price ($${numCurrent.toFixed(2)})`;
     }
     
-    const minPrice = numCurrent * 0.5;
-    const maxPrice = numCurrent * 1.5;
+    const minPrice = Math.max(0, numCurrent * (1 - priceRangePercent / 100));
+    const maxPrice = numCurrent * (1 + priceRangePercent / 100);
     
     if (numPrice < minPrice || numPrice > maxPrice) {
-      return `Price must be within 50% of current ($${minPrice.toFixed(2)} - $${maxPrice.toFixed(2)})`;
+      return `Price must be within ${priceRangePercent}% of current ($${minPrice.toFixed(2)} - $${maxPrice.toFixed(2)})`;
     }
     
     return '';
   };
+
+  const isPriceKind = kind === ALERT_KINDS.PRICE;
+  const isSpread = kind === ALERT_KINDS.SPREAD;
+  const isGas = kind === ALERT_KINDS.GAS;
+  const isCompound = kind === ALERT_KINDS.COMPOUND;
+  const isTrailing = kind === ALERT_KINDS.TRAILING;
+  const alertSymbol = editingAlert ? editingAlert.symbol.toLowerCase() : symbol;
+  // Follow the live card price while it is for the alert's coin
+  const livePrice = alertSymbol === symbol ? quote?.[SOURCE_KEYS[source]] : null;
+  const basePrice = isValidPrice(livePrice) ? livePrice : currentPrice;
+  // Gas alerts always watch Ethereum, whichever coin is selected
+  const gasValue = gasReading?.[gasMetric === GAS_METRICS.GWEI ? 'gasGwei' : 'gas'] ?? null;
+  const condition = isPriceKind
+    ? { kind, symbol: alertSymbol, source, type: alertType, targetPrice: parseFloat(alertPrice) }
+    : isGas
+    ? { kind, symbol: 'eth', source: 'Gas', metric: gasMetric, type: gasType, threshold: parseFloat(threshold) }
+    : isCompound
+    ? { kind, symbol: expressionSymbols(expression).join('/'), source: 'Compound', expression }
+    : isTrailing
+    ? {
+        kind,
+        symbol: alertSymbol,
+        source,
+        side,
+        trailUnit,
+        trailAmount: parseFloat(trailAmount),
+        // Keep the running high/low unless what it tracks changed
+        extreme: alertKind(editing) === kind && editing.side === side && editing.source === source
+          ? editing.extreme
+          : basePrice,
+      }
+    : {
+        kind,
+        symbol: alertSymbol,
+        source: isSpread ? 'Spread' : source,
+        direction,
+        percent: parseFloat(percent),
+        ...(kind === ALERT_KINDS.WINDOW_CHANGE && { windowMs }),
+        ...(kind === ALERT_KINDS.PERCENT_FROM_ENTRY && {
+          referencePrice: alertKind(editing) === kind && editing.source === source ? editing.referencePrice : basePrice,
+        }),
+        ...(isSpread && { netOfGas }),
+      };
+  const draft = {
+    ...condition,
+    repeat,
+    ...(repeat === REPEAT_MODES.COOLDOWN && { cooldownMs }),
+    ...(repeat === REPEAT_MODES.HYSTERESIS && !isCompound && { resetLevel: parseFloat(resetLevel) }),
+    ...(scheduleEnabled && { schedule: { ...schedule, timeZone: schedule.timeZone || localTimeZone() } }),
+    ...(channels.length > 0 && { channels }),
+    ...(sound && { sound }),
+  };
+  const channelValidation = channels.map(validateChannel).find(Boolean) || '';
+  const reference = isPriceKind || isSpread || isGas || isCompound || isTrailing ? null : referencePrice(draft, { samples, now: Date.now() });
   
   const handleSubmit = (e) => {
     e.preventDefault();
     
-    const validation = validatePrice(alertPrice, currentPrice, alertType);
+    const validation = (isPriceKind
+      ? validatePrice(alertPrice, basePrice, alertType)
+      : isGas
+      ? validateThreshold(threshold)
+      : isCompound
+      ? validateExpression(expression)
+      : isTrailing
+      ? validateTrail(trailAmount, trailUnit, side, basePrice)
+      : validatePercent(percent, direction))
+      || (repeat === REPEAT_MODES.HYSTERESIS && needsResetLevel(draft) ? validateResetLevel(draft) : '')
+      || validateExpiry(expiryMode, expiryAt)
+      || validateSchedule(scheduleEnabled, schedule)
+      || channelValidation;
     
     if (validation) {
       setValidationError(validation);
       return;
     }
+
+    const expiresAt = expiryMode === 'never'
+      ? null
+      : expiryMode === 'at'
+      ? new Date(expiryAt).getTime()
+      : Date.now() + Number(expiryMode);
     
-    const newAlert = {
-      id: Date.now(),
-      symbol: symbol.toUpperCase(),
-      targetPrice: parseFloat(alertPrice),
-      currentPrice: currentPrice,
-      type: alertType,
-      source: priceSource,
-      createdAt: new Date().toLocaleString()
-    };
+    const newAlert = editingAlert
+      ? {
+          // Counters and pause/snooze state survive an edit; re-arming does not
+          ...draft,
+          id: editingAlert.id,
+          symbol: draft.symbol.toUpperCase(),
+          currentPrice: editingAlert.currentPrice,
+          createdAt: editingAlert.createdAt,
+          triggerCount: editingAlert.triggerCount,
+          lastTriggeredAt: editingAlert.lastTriggeredAt,
+          paused: editingAlert.paused,
+          snoozedUntil: editingAlert.snoozedUntil,
+          expiresAt,
+        }
+      : {
+          ...draft,
+          id: Date.now(),
+          symbol: draft.symbol.toUpperCase(),
+          currentPrice: isGas ? gasValue : basePrice,
+          createdAt: new Date().toLocaleString(),
+          expiresAt,
+        };
     
-    setAlerts(prev => [...prev, newAlert]);
+    if (editingAlert) {
+      setAlerts(prev => prev.map(alert => (alert.id === editingAlert.id ? newAlert : alert)));
+    } else {
+      setAlerts(prev => [...prev, newAlert]);
+    }
     setAlertPrice('');
+    setPercent('');
+    setThreshold('');
+    setResetLevel('');
     setValidationError('');
     
-    setToastMessage(`${priceSource} alert set for ${symbol.toUpperCase()} ${alertType} $${parseFloat(alertPrice).toFixed(2)}`);
+    setToastMessage(`${newAlert.source} alert ${editingAlert ? 'updated' : 'set'} for ${newAlert.symbol} ${describeAlert(newAlert)}`);
     setShowToast(true);
     
     setTimeout(() => {
@@ -268,14 +697,52 @@ const AlertModal = ({ show, onClose, currentPrice, symbol, alertPrice, setAlertP
     setAlertPrice(e.target.value);
     setValidationError('');
   };
+
+  const handlePercentChange = (e) => {
+    setPercent(e.target.value);
+    setValidationError('');
+  };
+
+  const handleThresholdChange = (e) => {
+    setThreshold(e.target.value);
+    setValidationError('');
+  };
   
-  const validation = alertPrice ? validatePrice(alertPrice, currentPrice, alertType) : '';
+  const conditionValidation = isPriceKind
+    ? (alertPrice ? validatePrice(alertPrice, basePrice, alertType) : '')
+    : isGas
+    ? (threshold ? validateThreshold(threshold) : '')
+    : isCompound
+    ? ''
+    : isTrailing
+    ? (trailAmount ? validateTrail(trailAmount, trailUnit, side, basePrice) : '')
+    : (percent ? validatePercent(percent, direction) : '');
+  const resetValidation = repeat === REPEAT_MODES.HYSTERESIS && needsResetLevel(draft) && resetLevel && !conditionValidation
+    ? validateResetLevel(draft)
+    : '';
+  const scheduleValidation = validateExpiry(expiryMode, expiryAt) || validateSchedule(scheduleEnabled, schedule);
+  const validation = conditionValidation || resetValidation || scheduleValidation || channelValidation;
+  const toggleDay = (day) => setSchedule(prev => ({
+    ...prev,
+    days: prev.days.includes(day) ? prev.days.filter(d => d !== day) : [...prev.days, day].sort(),
+  }));
   
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-lg p-6 w-full max-w-md">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
         <div className="flex justify-between items-center mb-4">
-          <h3 className="text-lg font-semibold">Set {priceSource} Price Alert</h3>
+          <h3 className="text-lg font-semibold">
+            {editingAlert ? 'Edit' : 'Set'}{' '}
+            {isSpread
+              ? 'Spread Alert'
+              : isGas
+              ? 'Ethereum Gas Alert'
+              : isCompound
+              ? 'Combined Alert'
+              : isTrailing
+              ? `${source} Trailing Stop`
+              : `${source} Price Alert`}
+          </h3>
           <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
             <X className="w-5 h-5" />
           </button>
@@ -283,35 +750,447 @@ const AlertModal = ({ show, onClose, currentPrice, symbol, alertPrice, setAlertP
         
         <form onSubmit={handleSubmit}>
           <div className="mb-4">
-            <label className="block text-sm font-medium mb-2">
-              Alert when {symbol.toUpperCase()} {priceSource} price goes:
-            </label>
+            <label className="block text-sm font-medium mb-2">Alert type</label>
+            <select
+              value={kind}
+              onChange={(e) => {
+                setKind(e.target.value);
+                if (repeat === REPEAT_MODES.HYSTERESIS && !supportsHysteresis({ kind: e.target.value })) {
+                  setRepeat(REPEAT_MODES.ONCE);
+                }
+                setValidationError('');
+              }}
+              className="w-full p-2 border rounded-md"
+            >
+              {ALERT_KIND_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {!isSpread && !isGas && !isCompound && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium mb-2">Price source</label>
+              <select
+                value={source}
+                onChange={(e) => {
+                  setSource(e.target.value);
+                  setValidationError('');
+                }}
+                className="w-full p-2 border rounded-md"
+              >
+                {Object.keys(SOURCE_KEYS).map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {isPriceKind ? (
+            <>
+              <div className="mb-4">
+                <label className="block text-sm font-medium mb-2">
+                  Alert when {alertSymbol.toUpperCase()} {source} price goes:
+                </label>
+                <select
+                  value={alertType}
+                  onChange={(e) => setAlertType(e.target.value)}
+                  className="w-full p-2 border rounded-md mb-2"
+                >
+                  <option value="above">Above</option>
+                  <option value="below">Below</option>
+                </select>
+              </div>
+              
+              <div className="mb-4">
+                <label className="block text-sm font-medium mb-2">Target Price ($)</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  value={alertPrice}
+                  onChange={handlePriceChange}
+                  placeholder={`Current ${source}: $${basePrice?.toFixed(2) || '0.00'}`}
+                  className={`w-full p-2 border rounded-md ${conditionValidation ? 'border-red-500' : ''}`}
+                  required
+                />
+                {conditionValidation && (
+                  <p className="text-red-500 text-sm mt-1">{conditionValidation}</p>
+                )}
+              </div>
+            </>
+          ) : isTrailing ? (
+            <>
+              <div className="mb-4">
+                <label className="block text-sm font-medium mb-2">Track</label>
+                <select
+                  value={side}
+                  onChange={(e) => {
+                    setSide(e.target.value);
+                    setValidationError('');
+                  }}
+                  className="w-full p-2 border rounded-md"
+                >
+                  <option value="high">Running high (fires on a drop)</option>
+                  <option value="low">Running low (fires on a rise)</option>
+                </select>
+              </div>
+              <div className="mb-4 flex gap-2">
+                <div className="flex-1">
+                  <label className="block text-sm font-medium mb-2">Trail by</label>
+                  <input
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={trailAmount}
+                    onChange={(e) => {
+                      setTrailAmount(e.target.value);
+                      setValidationError('');
+                    }}
+                    placeholder={trailUnit === TRAIL_UNITS.PERCENT ? 'e.g. 5' : 'e.g. 100'}
+                    className={`w-full p-2 border rounded-md ${conditionValidation ? 'border-red-500' : ''}`}
+                    required
+                  />
+                </div>
+                <div className="w-24">
+                  <label className="block text-sm font-medium mb-2">Unit</label>
+                  <select
+                    value={trailUnit}
+                    onChange={(e) => {
+                      setTrailUnit(e.target.value);
+                      setValidationError('');
+                    }}
+                    className="w-full p-2 border rounded-md"
+                  >
+                    <option value={TRAIL_UNITS.PERCENT}>%</option>
+                    <option value={TRAIL_UNITS.USD}>$</option>
+                  </select>
+                </div>
+              </div>
+              {conditionValidation && (
+                <p className="text-red-500 text-sm mb-2">{conditionValidation}</p>
+              )}
+              {!conditionValidation && trailAmount && isValidPrice(draft.extreme) && (
+                <div className="mb-4 text-xs text-gray-600 bg-gray-50 rounded p-2">
+                  <div>{side === 'low' ? 'Low' : 'High'} so far: {formatReading(draft, draft.extreme)}</div>
+                  <div className={side === 'low' ? 'text-green-700' : 'text-red-700'}>
+                    Fires at or {side === 'low' ? 'above' : 'below'} {formatReading(draft, trailingLevel(draft, draft.extreme))}, moving with the {side === 'low' ? 'low' : 'high'}
+                  </div>
+                </div>
+              )}
+            </>
+          ) : isCompound ? (
+            <div className="mb-4">
+              <ConditionBuilder
+                value={expression}
+                onChange={(next) => {
+                  setExpression(next);
+                  setValidationError('');
+                }}
+                coins={COIN_SYMBOLS}
+                defaultSymbol={symbol}
+              />
+              {validationError && (
+                <p className="text-red-500 text-sm mt-2">{validationError}</p>
+              )}
+            </div>
+          ) : isGas ? (
+            <>
+              <div className="mb-4 flex gap-2">
+                <div className="flex-1">
+                  <label className="block text-sm font-medium mb-2">Watch</label>
+                  <select
+                    value={gasMetric}
+                    onChange={(e) => setGasMetric(e.target.value)}
+                    className="w-full p-2 border rounded-md"
+                  >
+                    <option value={GAS_METRICS.GWEI}>Gas price (gwei)</option>
+                    <option value={GAS_METRICS.USD}>Swap gas cost ($)</option>
+                  </select>
+                </div>
+                <div className="flex-1">
+                  <label className="block text-sm font-medium mb-2">When it goes</label>
+                  <select
+                    value={gasType}
+                    onChange={(e) => setGasType(e.target.value)}
+                    className="w-full p-2 border rounded-md"
+                  >
+                    <option value="below">Below</option>
+                    <option value="above">Above</option>
+                  </select>
+                </div>
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium mb-2">
+                  Threshold ({gasMetric === GAS_METRICS.GWEI ? 'gwei' : '$'})
+                </label>
+                <input
+                  type="number"
+                  step={gasMetric === GAS_METRICS.GWEI ? '0.1' : '0.01'}
+                  min="0"
+                  value={threshold}
+                  onChange={handleThresholdChange}
+                  placeholder={gasValue !== null ? `Current: ${formatReading(draft, gasValue)}` : 'e.g. 10'}
+                  className={`w-full p-2 border rounded-md ${conditionValidation ? 'border-red-500' : ''}`}
+                  required
+                />
+                {conditionValidation && (
+                  <p className="text-red-500 text-sm mt-1">{conditionValidation}</p>
+                )}
+                {gasValue === null && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    No gas reading yet; the alert starts checking once Ethereum gas data arrives.
+                  </p>
+                )}
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="mb-4 flex gap-2">
+                <div className="flex-1">
+                  <label className="block text-sm font-medium mb-2">Direction</label>
+                  <select
+                    value={direction}
+                    onChange={(e) => setDirection(e.target.value)}
+                    className="w-full p-2 border rounded-md"
+                  >
+                    <option value="either">Either way</option>
+                    <option value="up">{isSpread ? 'DEX premium' : 'Up'}</option>
+                    <option value="down">{isSpread ? 'DEX discount' : 'Down'}</option>
+                  </select>
+                </div>
+                <div className="flex-1">
+                  <label className="block text-sm font-medium mb-2">Change (%)</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    value={percent}
+                    onChange={handlePercentChange}
+                    placeholder="e.g. 5"
+                    className={`w-full p-2 border rounded-md ${conditionValidation ? 'border-red-500' : ''}`}
+                    required
+                  />
+                </div>
+              </div>
+
+              {kind === ALERT_KINDS.WINDOW_CHANGE && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium mb-2">Within the last</label>
+                  <select
+                    value={windowMs}
+                    onChange={(e) => setWindowMs(Number(e.target.value))}
+                    className="w-full p-2 border rounded-md"
+                  >
+                    {ALERT_WINDOWS.map(ms => (
+                      <option key={ms} value={ms}>{formatWindow(ms)}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {isSpread && (
+                <label className="mb-4 flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={netOfGas}
+                    onChange={(e) => setNetOfGas(e.target.checked)}
+                  />
+                  Net of the DEX gas fee
+                </label>
+              )}
+
+              {conditionValidation && (
+                <p className="text-red-500 text-sm mb-2">{conditionValidation}</p>
+              )}
+              {!conditionValidation && percent && (
+                <div className="mb-4">
+                  {isSpread
+                    ? <SpreadPreview draft={draft} quote={quote} />
+                    : <AlertPreview draft={draft} reference={reference} />}
+                </div>
+              )}
+            </>
+          )}
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium mb-2">After it fires</label>
             <select
-              value={alertType}
-              onChange={(e) => setAlertType(e.target.value)}
-              className="w-full p-2 border rounded-md mb-2"
+              value={repeat}
+              onChange={(e) => {
+                setRepeat(e.target.value);
+                setValidationError('');
+              }}
+              className="w-full p-2 border rounded-md"
             >
-              <option value="above">Above</option>
-              <option value="below">Below</option>
+              <option value={REPEAT_MODES.ONCE}>Remove the alert</option>
+              <option value={REPEAT_MODES.COOLDOWN}>Keep it, with a cooldown</option>
+              {supportsHysteresis(draft) && (
+                <option value={REPEAT_MODES.HYSTERESIS}>Keep it, re-arm past a reset level</option>
+              )}
             </select>
+            {repeat === REPEAT_MODES.COOLDOWN && (
+              <select
+                value={cooldownMs}
+                onChange={(e) => setCooldownMs(Number(e.target.value))}
+                className="w-full p-2 border rounded-md mt-2"
+                aria-label="Cooldown"
+              >
+                {COOLDOWN_OPTIONS.map(ms => (
+                  <option key={ms} value={ms}>Fire at most every {formatWindow(ms)}</option>
+                ))}
+              </select>
+            )}
+            {repeat === REPEAT_MODES.HYSTERESIS && needsResetLevel(draft) && (
+              <>
+                <input
+                  type="number"
+                  step="any"
+                  min="0"
+                  value={resetLevel}
+                  onChange={(e) => {
+                    setResetLevel(e.target.value);
+                    setValidationError('');
+                  }}
+                  placeholder={resetIsPercent(draft) ? 'Reset level (%)' : `Reset level (${isGas && gasMetric === GAS_METRICS.GWEI ? 'gwei' : '$'})`}
+                  className={`w-full p-2 border rounded-md mt-2 ${resetValidation ? 'border-red-500' : ''}`}
+                  required
+                />
+                {resetValidation && (
+                  <p className="text-red-500 text-sm mt-1">{resetValidation}</p>
+                )}
+              </>
+            )}
           </div>
           
           <div className="mb-4">
-            <label className="block text-sm font-medium mb-2">Target Price ($)</label>
-            <input
-              type="number"
-              step="0.01"
-              value={alertPrice}
-              onChange={handlePriceChange}
-              placeholder={`Current ${priceSource}: $${currentPrice?.toFixed(2) || '0.00'}`}
-              className={`w-full p-2 border rounded-md ${validation ? 'border-red-500' : ''}`}
-              required
+            <label className="block text-sm font-medium mb-2">Expires</label>
+            <select
+              value={expiryMode}
+              onChange={(e) => {
+                setExpiryMode(e.target.value);
+                setValidationError('');
+              }}
+              className="w-full p-2 border rounded-md"
+            >
+              <option value="never">Never</option>
+              {EXPIRY_OPTIONS.map(ms => (
+                <option key={ms} value={String(ms)}>After {formatWindow(ms)}</option>
+              ))}
+              <option value="at">At a date and time…</option>
+            </select>
+            {expiryMode === 'at' && (
+              <input
+                type="datetime-local"
+                value={expiryAt}
+                min={toLocalInput(Date.now())}
+                onChange={(e) => {
+                  setExpiryAt(e.target.value);
+                  setValidationError('');
+                }}
+                className="w-full p-2 border rounded-md mt-2"
+                aria-label="Expiry date and time"
+                required
+              />
+            )}
+          </div>
+
+          <div className="mb-4">
+            <label className="flex items-center gap-2 text-sm font-medium">
+              <input
+                type="checkbox"
+                checked={scheduleEnabled}
+                onChange={(e) => setScheduleEnabled(e.target.checked)}
+              />
+              Only notify during active hours
+            </label>
+            {scheduleEnabled && (
+              <div className="mt-2 space-y-2">
+                <div className="flex flex-wrap gap-1">
+                  {WEEKDAYS.map((name, day) => (
+                    <button
+                      key={name}
+                      type="button"
+                      onClick={() => toggleDay(day)}
+                      aria-pressed={schedule.days.includes(day)}
+                      className={`px-2 py-1 text-xs rounded border ${
+                        schedule.days.includes(day) ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700'
+                      }`}
+                    >
+                      {name}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex items-center gap-2 text-sm">
+                  <input
+                    type="time"
+                    value={schedule.start}
+                    onChange={(e) => setSchedule(prev => ({ ...prev, start: e.target.value }))}
+                    className="p-1 border rounded"
+                    aria-label="Active from"
+                  />
+                  <span>to</span>
+                  <input
+                    type="time"
+                    value={schedule.end}
+                    onChange={(e) => setSchedule(prev => ({ ...prev, end: e.target.value }))}
+                    className="p-1 border rounded"
+                    aria-label="Active until"
+                  />
+                </div>
+                <p className="text-xs text-gray-500">
+                  Times are in {schedule.timeZone || localTimeZone() || 'your local time zone'}. Outside these hours the
+                  alert keeps watching but stays silent.
+                </p>
+              </div>
+            )}
+            {scheduleValidation && (
+              <p className="text-red-500 text-sm mt-1">{scheduleValidation}</p>
+            )}
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium mb-2">Also notify</label>
+            <ChannelEditor
+              value={channels}
+              onChange={(next) => {
+                setChannels(next);
+                setValidationError('');
+              }}
             />
-            {validation && (
-              <p className="text-red-500 text-sm mt-1">{validation}</p>
+            {channelValidation ? (
+              <p className="text-red-500 text-sm mt-1">{channelValidation}</p>
+            ) : channels.length > 0 && (
+              <p className="text-xs text-gray-500 mt-1">
+                Sent from this browser when the alert fires. Webhook receivers must allow CORS.
+              </p>
             )}
           </div>
-          
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium mb-2">Sound</label>
+            <div className="flex items-center gap-2">
+              <select
+                value={sound}
+                onChange={(e) => setSound(e.target.value)}
+                className="flex-1 p-2 border rounded-md text-sm"
+              >
+                <option value="">Default ({SOUND_PROFILE_LABELS[defaultSoundProfile]})</option>
+                {Object.values(SOUND_PROFILES).map(profile => (
+                  <option key={profile} value={profile}>{SOUND_PROFILE_LABELS[profile]}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => previewProfile(sound || defaultSoundProfile)}
+                className="p-2 border border-gray-300 rounded-md hover:bg-gray-50"
+                title="Play"
+              >
+                <Volume2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+
           <div className="flex gap-2">
             <button
               type="button"
@@ -325,7 +1204,7 @@ const AlertModal = ({ show, onClose, currentPrice, symbol, alertPrice, setAlertP
               className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
               disabled={!!validation}
             >
-              Set Alert
+              {editingAlert ? 'Save Changes' : 'Set Alert'}
             </button>
           </div>
         </form>
@@ -368,7 +1247,50 @@ const PeriodButtons = ({ value, onChange, disabled = false }) => {
   );
 };
 
-function PriceCard({ title, provider, price, gasFee, isLoading, isBest, onSetAlert }) {
+// Refresh button with a ring that drains until the next auto-refresh
+const RefreshButton = ({ onClick, spinning, disabled, nextAt, interval, paused, now }) => {
+  const radius = 16;
+  const circumference = 2 * Math.PI * radius;
+  const remaining = nextAt ? Math.max(0, nextAt - now) : 0;
+  const fraction = interval && nextAt ? Math.min(1, remaining / interval) : 0;
+
+  const title = !interval
+    ? 'Refresh prices'
+    : paused
+    ? 'Refresh prices (auto-refresh paused while tab is hidden)'
+    : `Refresh prices (next in ${Math.ceil(remaining / 1000)}s)`;
+
+  return (
+    <div className="relative w-9 h-9">
+      {interval > 0 && (
+        <svg className="absolute inset-0 w-9 h-9 -rotate-90 pointer-events-none" viewBox="0 0 36 36">
+          <circle cx="18" cy="18" r={radius} fill="none" stroke="#dbeafe" strokeWidth="2" />
+          <circle
+            cx="18"
+            cy="18"
+            r={radius}
+            fill="none"
+            stroke={paused ? '#9ca3af' : '#2563eb'}
+            strokeWidth="2"
+            strokeDasharray={circumference}
+            strokeDashoffset={circumference * (1 - fraction)}
+            style={{ transition: 'stroke-dashoffset 1s linear' }}
+          />
+        </svg>
+      )}
+      <button
+        onClick={onClick}
+        disabled={disabled}
+        className="absolute inset-1 bg-blue-500 text-white rounded-full flex items-center justify-center hover:bg-blue-600 disabled:opacity-50"
+        title={title}
+      >
+        <RefreshCw className={`w-4 h-4 ${spinning ? 'animate-spin' : ''}`} />
+      </button>
+    </div>
+  );
+};
+
+function PriceCard({ title, provider, price, gasFee, isLoading, isBest, onSetAlert, error, isStale, updatedAt, now }) {
   const priceSource = title.split(' ')[0];
   
   return (
@@ -379,9 +1301,24 @@ function PriceCard({ title, provider, price, gasFee, isLoading, isBest, onSetAle
         <div className="bg-green-500 text-white text-xs px-2 py-1 rounded-full inline-block mb-2">BEST PRICE</div>
       )}
       <div>
-        <h3 className="font-semibold text-gray-900">{title}</h3>
+        <h3 className="font-semibold text-gray-900">
+          {title}
+          {isStale && !isLoading && (
+            <span
+              className="ml-2 text-xs px-1.5 py-0.5 bg-yellow-100 text-yellow-800 rounded font-normal"
+              title={error ? describeApiError(error) : 'Cached value, refreshing'}
+            >
+              STALE
+            </span>
+          )}
+        </h3>
         <p className="text-sm text-gray-500">{provider}</p>
       </div>
+      {!isLoading && updatedAt && (
+        <p className="text-xs text-gray-400" title={new Date(updatedAt).toLocaleString()}>
+          Updated {formatAge(now - updatedAt)}
+        </p>
+      )}
       <div className={`${isLoading ? 'animate-pulse bg-gray-200 h-6 w-20 rounded' : ''}`}>
         {!isLoading && price !== null ? (
           <div>
@@ -406,7 +1343,12 @@ function PriceCard({ title, provider, price, gasFee, isLoading, isBest, onSetAle
             )}
           </div>
         ) : (
-          !isLoading && <span className="text-xl font-bold text-red-500">N/A</span>
+          !isLoading && (
+            <div>
+              <span className="text-xl font-bold text-red-500">N/A</span>
+              {error && <p className="text-xs text-red-500 mt-1">{describeApiError(error)}</p>}
+            </div>
+          )
         )}
       </div>
     </div>
@@ -414,16 +1356,35 @@ function PriceCard({ title, provider, price, gasFee, isLoading, isBest, onSetAle
 }
 
 export default function App() {
-  const [symbol, setSymbol] = useState('eth');
+  // Notification clicks open the app on /?coin=…&period=…&alert=…
+  const [deepLink] = useState(() => readDeepLink());
+  const [symbol, setSymbol] = useState(() => (COIN_SYMBOLS.includes(deepLink.symbol) ? deepLink.symbol : 'eth'));
   const [loading, setLoading] = useState(false);
   const [historyLoading, setHistoryLoading] = useState(false);
   const [demoMode, setDemoMode] = useState(true);
-  const [prices, setPrices] = useState({ spot: null, dex: null, best: null, gas: null });
+  const [prices, setPrices] = useState({ spot: null, dex: null, best: null, gas: null, gasGwei: null });
+  const [gasReading, setGasReading] = useState({ gas: null, gasGwei: null });
+  const [priceErrors, setPriceErrors] = useState({ spot: null, dex: null, best: null });
+  const [priceStale, setPriceStale] = useState({ spot: false, dex: false, best: false });
+  const [refreshing, setRefreshing] = useState(false);
+  const [priceUpdatedAt, setPriceUpdatedAt] = useState({ spot: null, dex: null, best: null });
+  const [refreshInterval, setRefreshInterval] = useState(() => {
+    try {
+      const saved = localStorage.getItem('cryptopricer-refresh-interval');
+      return saved !== null && REFRESH_INTERVALS.some(o => o.ms === Number(saved)) ? Number(saved) : 30000;
+    } catch {
+      return 30000;
+    }
+  });
   const [deferredPrompt, setDeferredPrompt] = useState(null);
   const [showInstallButton, setShowInstallButton] = useState(false);
   const [history, setHistory] = useState([]);
-  const [selectedPeriod, setSelectedPeriod] = useState(7);
+  const [historyError, setHistoryError] = useState(null);
+  const [historyStale, setHistoryStale] = useState(false);
+  const [selectedPeriod, setSelectedPeriod] = useState(deepLink.period ?? 7);
+  const [highlightedAlert, setHighlightedAlert] = useState(() => (deepLink.alertId != null ? { id: deepLink.alertId } : null));
   const [showAlertModal, setShowAlertModal] = useState(false);
+  const [editingAlert, setEditingAlert] = useState(null);
   const [alertPrice, setAlertPrice] = useState('');
   const [alertType, setAlertType] = useState('above');
   const [showToast, setShowToast] = useState(false);
@@ -434,6 +1395,21 @@ export default function App() {
   const [lastMonitorTime, setLastMonitorTime] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('connected');
   const [testMode, setTestMode] = useState(false);
+  const [apiBase, setApiBase] = useState(getApiBase);
+  const [showSettings, setShowSettings] = useState(false);
+  const [demoSeed, setDemoSeedState] = useState(getDemoSeed);
+  const [alertLimits, setAlertLimitsState] = useState(getAlertLimits);
+  const { maxAlerts, priceRangePercent } = alertLimits;
+  const [soundSettings, setSoundSettingsState] = useState(getSoundSettings);
+  const [replay, setReplay] = useState(null);
+  const [replayState, setReplayState] = useState(null);
+  const [replayController, setReplayController] = useState(null);
+  const [replayLoading, setReplayLoading] = useState(false);
+  const priceRequestRef = useRef(null);
+  const [streamStatus, setStreamStatus] = useState(null);
+  const streamRef = useRef(null);
+  const symbolRef = useRef(symbol);
+  const evaluateSnapshotRef = useRef(null);
   const [alerts, setAlerts] = useState(() => {
     try {
       const savedAlerts = localStorage.getItem('cryptopricer-alerts');
@@ -451,7 +1427,65 @@ export default function App() {
       return [];
     }
   });
+  const alertsRef = useRef(alerts);
+  const handleWorkerEvents = useCallback(
+    (events) => setNotificationHistory(prev => [...events, ...prev].slice(0, 50)),
+    [],
+  );
+  // Selects the alert's coin and chart period and highlights it
+  const handleShowAlert = useCallback(({ symbol: coin, period, alertId }) => {
+    if (COIN_SYMBOLS.includes(coin)) setSymbol(coin);
+    if (period) setSelectedPeriod(period);
+    if (alertId != null) setHighlightedAlert({ id: alertId });
+  }, []);
+  const push = usePushSubscription(alerts);
+  const isHandedOff = useBackgroundMonitor({
+    alerts,
+    setAlerts,
+    onEvents: handleWorkerEvents,
+    onShowAlert: handleShowAlert,
+    config: { apiBase, demoMode, testMode, maxAlerts, push: push.subscribed, sound: soundSettings },
+  });
+  const replayFiredRef = useRef(new Set());
+  // Recent prices for window and 24h change alerts; replays get their own
+  const [samples] = useState(() => createSampleStore());
+  const replaySamplesRef = useRef(null);
+  // Running highs/lows of trailing alerts along the replayed path
+  const replayTrailsRef = useRef(null);
+  const seededSamplesRef = useRef(new Set());
+  // Latest live prices of every watched coin, for compound alerts
+  const latestSnapshotsRef = useRef({});
   
+  useEffect(() => {
+    clearDeepLink();
+  }, []);
+
+  // Browsers only allow audio once the page has been interacted with
+  useEffect(() => {
+    const stop = () => {
+      window.removeEventListener('pointerdown', unlock);
+      window.removeEventListener('keydown', unlock);
+    };
+    const unlock = () => {
+      unlockAudio();
+      stop();
+    };
+    window.addEventListener('pointerdown', unlock);
+    window.addEventListener('keydown', unlock);
+    return stop;
+  }, []);
+
+  // Scroll the highlighted alert into view (its history entry once a once
+  // alert has fired) and let the highlight fade
+  useEffect(() => {
+    if (!highlightedAlert) return;
+    const { id } = highlightedAlert;
+    const row = document.getElementById(`alert-${id}`) || document.getElementById(`notification-alert-${id}`);
+    row?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timer = setTimeout(() => setHighlightedAlert(null), HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [highlightedAlert]);
+
   useEffect(() => {
     const handler = (e) => {
       e.preventDefault();
@@ -484,15 +1518,43 @@ export default function App() {
     }
   }, [notificationHistory]);
 
+  const showTimedToast = useCallback((message, duration) => {
+    setToastMessage(message);
+    setShowToast(true);
+    setTimeout(() => setShowToast(false), duration);
+  }, []);
+
+  useEffect(() => {
+    alertsRef.current = alerts;
+  }, [alerts]);
+
+  // Expiry runs on a timer rather than on price updates, so alerts on a coin
+  // that stopped updating still expire on time.
+  useEffect(() => {
+    const sweep = () => {
+      if (isHandedOff()) return;
+      const { expired, transitions } = collectExpired(alertsRef.current);
+      if (expired.length === 0) return;
+      alertsRef.current = applyTransitions(alertsRef.current, transitions);
+      setAlerts(prev => applyTransitions(prev, transitions));
+      setNotificationHistory(prev => [...expired.map(toExpiredHistoryEntry), ...prev].slice(0, 50));
+    };
+    sweep();
+    const timer = setInterval(sweep, EXPIRY_SWEEP_INTERVAL);
+    return () => clearInterval(timer);
+  }, [isHandedOff]);
+
   useEffect(() => {
     if (alerts.length === 0) {
       setMonitoringStatus('idle');
+      evaluateSnapshotRef.current = null;
       return;
     }
 
-    if (alerts.length > 15) {
+    if (alerts.length > maxAlerts) {
+      evaluateSnapshotRef.current = null;
       setMonitoringStatus('error');
-      setToastMessage('Too many alerts! Maximum 15 allowed. Please remove some alerts.');
+      setToastMessage(`Too many alerts! Maximum ${maxAlerts} allowed. Please remove some alerts or raise the limit in Settings.`);
       setShowToast(true);
       setTimeout(() => setShowToast(false), 5000);
       return;
@@ -500,98 +1562,208 @@ export default function App() {
 
     setMonitoringStatus('monitoring');
 
-    const monitorAlerts = async () => {
-      try {
-        setConnectionStatus('checking');
-        
-        const alertGroups = {};
-        alerts.forEach(alert => {
-          const key = `${alert.symbol.toLowerCase()}_${alert.source}`;
-          if (!alertGroups[key]) {
-            alertGroups[key] = [];
-          }
-          alertGroups[key].push(alert);
-        });
-        
-        for (const [key, alertGroup] of Object.entries(alertGroups)) {
-          const alert = alertGroup[0];
-          const symbol = alert.symbol.toLowerCase();
-          const source = alert.source;
-          
-          let currentPrice = null;
-          
-          if (source === 'Spot') {
-            const data = await api.spotPrice(symbol);
-            currentPrice = data?.price;
-          } else if (source === 'DEX') {
-            const data = await api.dexQuote(symbol);
-            if (data?.price?.destAmount && parseInt(data.price.destAmount) > 0) {
-              currentPrice = 10000 / (parseInt(data.price.destAmount) / 10 ** data.price.destDecimals);
-            }
-          } else if (source === 'Best') {
-            const data = await api.bestPrice(symbol);
-            currentPrice = data?.best_price?.price_usd;
-          }
-          
-          if (!currentPrice || isNaN(currentPrice) || !isFinite(currentPrice)) continue;
-          
-          const triggeredAlerts = alertGroup.filter(alert => {
-            const targetHit = 
-              (alert.type === 'above' && currentPrice >= alert.targetPrice) ||
-              (alert.type === 'below' && currentPrice <= alert.targetPrice);
-            return targetHit;
-          });
-          
-          for (const alert of triggeredAlerts) {
-            const notification = {
-              id: Date.now() + Math.random(),
-              symbol: alert.symbol,
-              source: alert.source,
-              type: alert.type,
-              targetPrice: alert.targetPrice,
-              currentPrice: currentPrice,
-              timestamp: new Date().toLocaleString(),
-              isTest: testMode
-            };
-            
-            setNotificationHistory(prev => [notification, ...prev.slice(0, 49)]);
-            
-            if ('Notification' in window && Notification.permission === 'granted') {
-              new Notification(`${testMode ? '[TEST] ' : ''}${alert.symbol} ${alert.source} Price Alert`, {
-                body: `${alert.symbol} ${alert.source} ${alert.type} $${alert.targetPrice} target hit! Current: $${currentPrice.toFixed(2)}`,
-                icon: '/icon-192x192.png',
-                requireInteraction: true,
-                tag: `alert_${alert.id}`
-              });
-            }
-            
-            const message = testMode 
-              ? `🧪 TEST: ${alert.symbol} ${alert.source} hit $${alert.targetPrice}! Current: $${currentPrice.toFixed(2)}`
-              : `🎯 ${alert.symbol} ${alert.source} hit $${alert.targetPrice}! Current: $${currentPrice.toFixed(2)}`;
-            
-            setToastMessage(message);
-            setShowToast(true);
-            setTimeout(() => setShowToast(false), testMode ? 8000 : 7000);
-            
-            if (!testMode) {
-              setAlerts(prev => prev.filter(a => a.id !== alert.id));
-            }
-          }
-        }
-        
-        setConnectionStatus('connected');
-        setLastMonitorTime(new Date());
-        
-      } catch (error) {
-        console.error('Alert monitoring error:', error);
-        setConnectionStatus('error');
-        setMonitoringStatus('error');
+    const cueOf = (trigger) => alertCue(trigger, soundSettings);
+    const deliver = [
+      createToastAdapter(showTimedToast),
+      createCueAdapter(cueOf, playCue),
+      // The page plays the cue itself, so its notifications stay quiet
+      createBrowserNotificationAdapter(handleShowAlert, () => ({ silent: true })),
+      (trigger) => {
+        const entry = { ...toHistoryEntry(trigger, cueOf(trigger)), deliveries: pendingDeliveries(trigger) };
+        setNotificationHistory(prev => [entry, ...prev.slice(0, 49)]);
+        return deliverToChannels(trigger, deliveries =>
+          setNotificationHistory(prev => prev.map(e => (e.id === entry.id ? { ...e, deliveries } : e))));
+      },
+    ];
+
+    const run = (candidates, priceSnapshot, now, replay) => {
+      const { triggered, transitions } = evaluate(
+        candidates,
+        priceSnapshot,
+        now,
+        replay
+          ? { testMode, replay, samples: replaySamplesRef.current, trails: replayTrailsRef.current }
+          : { testMode, replay, samples },
+      );
+      
+      if (replay) triggered.forEach(({ alert }) => replayFiredRef.current.add(alert.id));
+      if (transitions.length > 0) {
+        // Snapshots can arrive faster than React re-renders the alert list
+        alertsRef.current = applyTransitions(alertsRef.current, transitions);
+        setAlerts(prev => applyTransitions(prev, transitions));
       }
+      dispatchTriggers(triggered, deliver);
+      
+      setLastMonitorTime(new Date());
+    };
+
+    // Live snapshots that arrive together (one stream tick) are merged into
+    // the consolidated snapshot of every coin and evaluated once, so compound
+    // alerts see all of their coins side by side.
+    let touched = new Set();
+    const flush = () => {
+      const symbols = touched;
+      touched = new Set();
+      // The service worker is checking alerts while the page is hidden
+      if (isHandedOff()) return;
+      const now = Date.now();
+      const consolidated = Object.fromEntries(
+        Object.entries(latestSnapshotsRef.current).filter(([, quote]) => now - quote.timestamp < MAX_SNAPSHOT_AGE),
+      );
+      const candidates = alertsRef.current.filter(alert => alertSymbols(alert).some(sym => symbols.has(sym)));
+      run(candidates, consolidated, now, false);
+    };
+
+    // Runs for every snapshot the price stream delivers, live or polled
+    evaluateSnapshotRef.current = (symbol, snapshot) => {
+      if (snapshot.replay) {
+        // Replays never consume real alerts, so each fires once per replay run
+        const candidates = alertsRef.current.filter(alert => !replayFiredRef.current.has(alert.id));
+        run(candidates, { [symbol]: snapshot }, snapshot.replayTime, true);
+        return;
+      }
+
+      latestSnapshotsRef.current[symbol] = { ...latestSnapshotsRef.current[symbol], ...snapshot };
+      if (touched.size === 0) queueMicrotask(flush);
+      touched.add(symbol);
+    };
+  }, [alerts, maxAlerts, testMode, showTimedToast, setAlerts, samples, isHandedOff, handleShowAlert, soundSettings]);
+
+  useEffect(() => {
+    symbolRef.current = symbol;
+  }, [symbol]);
+
+  // Feeds one snapshot (streamed, polled, simulated or replayed) into the
+  // cards when it is for the selected coin, and into the alert monitor.
+  const applySnapshot = useCallback((snapshotSymbol, snapshot) => {
+    if (snapshotSymbol === symbolRef.current) {
+      const values = {};
+      ['spot', 'dex', 'best', 'gas', 'gasGwei'].forEach((key) => {
+        if (snapshot[key] !== undefined) values[key] = snapshot[key];
+      });
+      setPrices(prev => ({ ...prev, ...values }));
+      setPriceStale({ spot: false, dex: false, best: false });
+      setPriceErrors({ spot: null, dex: null, best: null });
+      setPriceUpdatedAt(prev => {
+        const next = { ...prev };
+        ['spot', 'dex', 'best'].forEach((key) => {
+          if (values[key] !== undefined) next[key] = snapshot.timestamp;
+        });
+        return next;
+      });
+    }
+    if (snapshotSymbol === 'eth' && !snapshot.replay && (snapshot.gas !== undefined || snapshot.gasGwei !== undefined)) {
+      setGasReading(prev => ({ gas: snapshot.gas ?? prev.gas, gasGwei: snapshot.gasGwei ?? prev.gasGwei }));
+    }
+    if (!snapshot.replay) samples.record(snapshotSymbol, snapshot, snapshot.timestamp);
+    evaluateSnapshotRef.current?.(snapshotSymbol, snapshot);
+    if (!snapshot.replay) setConnectionStatus('connected');
+  }, [samples]);
+
+  // Replay takes over the price feed until exited. The replayed series only
+  // has one price, so it stands in for spot, DEX and best alike.
+  useEffect(() => {
+    if (!replay) return;
+
+    const replayFired = replayFiredRef.current;
+    replayFired.clear();
+    // Lookups never reach past the replay position, so the whole series can
+    // be loaded up front
+    const replaySamples = createSampleStore({ maxAge: Infinity });
+    ['spot', 'dex', 'best'].forEach(key => replaySamples.seed(replay.symbol, key, replay.series));
+    replaySamplesRef.current = replaySamples;
+    replayTrailsRef.current = new Map();
+    const controller = createReplay({
+      series: replay.series,
+      onTick: ({ timestamp, price }) => {
+        applySnapshot(replay.symbol, {
+          timestamp: Date.now(),
+          replayTime: timestamp,
+          spot: price,
+          dex: price,
+          best: price,
+          replay: true,
+        });
+      },
+      onStateChange: setReplayState,
+    });
+    setReplayController(controller);
+
+    return () => {
+      controller.close();
+      setReplayController(null);
+      setReplayState(null);
+      replayFired.clear();
+      replaySamplesRef.current = null;
+      replayTrailsRef.current = null;
     };
+  }, [replay, applySnapshot]);
 
-    const interval = setInterval(monitorAlerts, 30000);
-    return () => clearInterval(interval);
-  }, [alerts, testMode, setToastMessage, setShowToast, setAlerts]);
+  // One stream per backend (or per demo seed); the subscribed coins follow
+  // the selection and the alert list.
+  useEffect(() => {
+    if (replay) {
+      setStreamStatus(null);
+      return;
+    }
+
+    const streamOptions = {
+      onSnapshot: applySnapshot,
+      onStatus: setStreamStatus,
+      onError: (error) => {
+        if (error.kind !== ERROR_KINDS.ABORTED) setConnectionStatus('error');
+      },
+    };
+    const stream = demoMode
+      ? createSimulatedStream({ simulator: getSimulator(), ...streamOptions })
+      : createPriceStream(streamOptions);
+    streamRef.current = stream;
+
+    return () => {
+      stream.close();
+      streamRef.current = null;
+    };
+  }, [demoMode, apiBase, demoSeed, replay, applySnapshot]);
+
+  const streamSymbolsKey = [...new Set([symbol, ...alerts.flatMap(alertSymbols)])].join(',');
+
+  useEffect(() => {
+    streamRef.current?.setSymbols(streamSymbolsKey.split(','));
+  }, [streamSymbolsKey, demoMode, apiBase, demoSeed, replay]);
+
+  // Window and 24h change alerts compare against prices from before the app
+  // was opened, so backfill the sample store from 24h history once per coin.
+  const sampledSymbolsKey = [...new Set([
+    ...alerts.filter(needsSamples).map(a => a.symbol.toLowerCase()),
+    ...(showAlertModal ? [symbol] : []),
+  ])].join(',');
+
+  useEffect(() => {
+    samples.clear();
+    seededSamplesRef.current = new Set();
+    latestSnapshotsRef.current = {};
+  }, [samples, demoMode, apiBase, demoSeed]);
+
+  useEffect(() => {
+    if (!sampledSymbolsKey) return;
+    const seeded = seededSamplesRef.current;
+
+    sampledSymbolsKey.split(',').filter(sym => !seeded.has(sym)).forEach(async (sym) => {
+      seeded.add(sym);
+      try {
+        const points = demoMode
+          ? getSimulator().history(sym, 1)
+          : (await api.history(sym, 1))?.prices;
+        // Backend switched while loading
+        if (seededSamplesRef.current !== seeded || !Array.isArray(points)) return;
+        // Only spot history exists; it stands in for DEX and best as well
+        ['spot', 'dex', 'best'].forEach(key => samples.seed(sym, key, points));
+      } catch (error) {
+        seeded.delete(sym);
+        console.warn(`Could not backfill ${sym} price samples:`, describeApiError(error));
+      }
+    });
+  }, [sampledSymbolsKey, samples, demoMode, apiBase, demoSeed]);
 
   const handleInstallClick = async () => {
     if (deferredPrompt) {
@@ -602,84 +1774,187 @@ export default function App() {
     }
   };
 
-  const fetchPrices = useCallback(async () => {
+  const handleSaveSettings = ({ apiBase: url, demoSeed: seed, alertLimits: limits, soundSettings: sound }) => {
+    const nextApiBase = setApiBaseOverride(url);
+    const nextDemoSeed = setDemoSeed(seed);
+    setApiBase(nextApiBase);
+    setDemoSeedState(nextDemoSeed);
+    setAlertLimitsState(setAlertLimits(limits));
+    setSoundSettingsState(setSoundSettings(sound));
+    // Back to demo prices until the new backend has been probed
+    if (nextApiBase !== apiBase || nextDemoSeed !== demoSeed) setDemoMode(true);
+  };
+
+  // Each call supersedes the previous one: its requests are aborted and any
+  // response that still lands is dropped, so the cards always match `symbol`.
+  const fetchPrices = useCallback(async ({ force = false } = {}) => {
+    priceRequestRef.current?.abort();
+    const controller = new AbortController();
+    priceRequestRef.current = controller;
+    const { signal } = controller;
+
+    // The replay controller owns the cards while a replay is loaded
+    if (replay) return;
+
     if (demoMode) {
-      setLoading(true);
-      setTimeout(() => {
-        setLoading(false);
-        const demoMultiplier =
-          symbol === 'btc'
-            ? 20
-            : symbol === 'eth'
-            ? 1
-            : symbol === 'sol'
-            ? 0.5
-            : symbol === 'usdt'
-            ? 0.00025
-            : 0.0001;
-        setPrices({
-          spot: 2345.67 * demoMultiplier,
-          dex: 2351.20 * demoMultiplier,
-          best: 2348.50 * demoMultiplier,
-          gas: 5.0,
-        });
-      }, 800);
+      const { spot, dex, best, gas, gasGwei, timestamp } = getSimulator().snapshot(symbol);
+      setPrices({ spot, dex, best, gas, gasGwei });
+      setPriceErrors({ spot: null, dex: null, best: null });
+      setPriceStale({ spot: false, dex: false, best: false });
+      setPriceUpdatedAt({ spot: timestamp, dex: timestamp, best: timestamp });
+      setLoading(false);
+      setRefreshing(false);
       return;
     }
 
-    setLoading(true);
+    setRefreshing(true);
     try {
-      const [spot, dex, best, ethGas] = await Promise.all([
-        api.spotPrice(symbol),
-        api.dexQuote(symbol),
-        api.bestPrice(symbol),
-        symbol === 'eth' ? api.ethGas() : Promise.resolve(null),
+      // Paint whatever is cached right away, flagged stale if past its TTL,
+      // then revalidate against the backend.
+      const cached = await Promise.all([
+        api.peek.spotPrice(symbol),
+        api.peek.dexQuote(symbol),
+        api.peek.bestPrice(symbol),
+        symbol === 'eth' ? api.peek.ethGas() : Promise.resolve(null),
       ]);
-
-      let dexPrice = null;
-      if (dex?.price?.destAmount && parseInt(dex.price.destAmount) > 0) {
-        dexPrice = 10000 / (parseInt(dex.price.destAmount) / 10 ** dex.price.destDecimals);
-      }
-      if (dexPrice !== null && (isNaN(dexPrice) || !isFinite(dexPrice))) {
-        dexPrice = null;
+      if (signal.aborted) return;
+      const [cachedSpot, cachedDex, cachedBest, cachedGas] = cached;
+      if (cached.some(Boolean)) {
+        setPrices(derivePrices(symbol, {
+          spot: cachedSpot?.data,
+          dex: cachedDex?.data,
+          best: cachedBest?.data,
+          ethGas: cachedGas?.data,
+        }));
+        setPriceStale({ spot: !!cachedSpot?.stale, dex: !!cachedDex?.stale, best: !!cachedBest?.stale });
+        setPriceErrors({ spot: null, dex: null, best: null });
+        setPriceUpdatedAt({
+          spot: cachedSpot?.fetchedAt ?? null,
+          dex: cachedDex?.fetchedAt ?? null,
+          best: cachedBest?.fetchedAt ?? null,
+        });
+      } else {
+        setLoading(true);
       }
-      const gasFee =
-        dex?.price?.gasCostUSD
-          ? parseFloat(dex.price.gasCostUSD)
-          : symbol === 'eth' && ethGas?.result?.ProposeGasPrice
-          ? parseFloat(ethGas.result.ProposeGasPrice) * 0.000000001 * 21000 * 4000
-          : null;
-
-      setPrices({
-        spot: spot?.price || null,
-        dex: dexPrice,
-        best: best?.best_price?.price_usd || null,
-        gas: gasFee,
+
+      const results = await Promise.allSettled([
+        api.spotPrice(symbol, { signal, force }),
+        api.dexQuote(symbol, { signal, force }),
+        api.bestPrice(symbol, { signal, force }),
+        symbol === 'eth' ? api.ethGas({ signal, force }) : Promise.resolve(null),
+      ]);
+      if (signal.aborted) return;
+      // A failed revalidation keeps the cached value on screen, still flagged stale
+      const [spot, dex, best, ethGas] = results.map((r, i) => (r.status === 'fulfilled' ? r.value : cached[i]?.data ?? null));
+      const [spotError, dexError, bestError] = results.map((r) => (r.status === 'rejected' ? r.reason : null));
+
+      setPrices(derivePrices(symbol, { spot, dex, best, ethGas }));
+      setPriceStale({
+        spot: !!spotError && !!cachedSpot,
+        dex: !!dexError && !!cachedDex,
+        best: !!bestError && !!cachedBest,
+      });
+      setPriceErrors({ spot: spotError, dex: dexError, best: bestError });
+      const fetchedAt = Date.now();
+      setPriceUpdatedAt({
+        spot: spotError ? cachedSpot?.fetchedAt ?? null : fetchedAt,
+        dex: dexError ? cachedDex?.fetchedAt ?? null : fetchedAt,
+        best: bestError ? cachedBest?.fetchedAt ?? null : fetchedAt,
       });
     } catch (err) {
+      if (signal.aborted) return;
       console.error('Fetch error:', err);
-      setPrices({ spot: 'Error', dex: 'Error', best: 'Error', gas: null });
+      setPrices({ spot: null, dex: null, best: null, gas: null, gasGwei: null });
     } finally {
-      setLoading(false);
+      if (priceRequestRef.current === controller) {
+        setLoading(false);
+        setRefreshing(false);
+      }
     }
-  }, [symbol, demoMode]);
+  }, [symbol, demoMode, replay]);
 
+  // Probe the backend, then load prices. apiBase and demoSeed are read
+  // through config; switching either re-probes and refetches.
   useEffect(() => {
-    api.spotPrice(symbol)
+    const controller = new AbortController();
+    api.spotPrice(symbol, { signal: controller.signal })
       .then((data) => {
         if (data?.price) setDemoMode(false);
       })
+      .catch((error) => {
+        if (error.kind !== ERROR_KINDS.ABORTED) {
+          console.warn('Backend unavailable, staying in demo mode:', describeApiError(error));
+        }
+      })
       .finally(() => {
-        fetchPrices();
+        if (!controller.signal.aborted) fetchPrices();
       });
-  }, [symbol, fetchPrices]);
+    return () => {
+      controller.abort();
+      priceRequestRef.current?.abort();
+    };
+  }, [symbol, fetchPrices, apiBase, demoSeed]);
+
+  const now = useNow(1000);
+  const autoRefresh = useAutoRefresh(
+    useCallback(() => fetchPrices({ force: true }), [fetchPrices]),
+    refreshInterval,
+  );
+
+  useEffect(() => {
+    try {
+      localStorage.setItem('cryptopricer-refresh-interval', String(refreshInterval));
+    } catch (error) {
+      console.error('Error saving refresh interval:', error);
+    }
+  }, [refreshInterval]);
+
+  const handleManualRefresh = () => {
+    autoRefresh.restart();
+    fetchPrices({ force: true });
+  };
+
+  const handleLoadReplayHistory = async () => {
+    setReplayLoading(true);
+    try {
+      const prices = demoMode
+        ? getSimulator().history(symbol, selectedPeriod)
+        : (await api.history(symbol, selectedPeriod))?.prices;
+      const series = parseRecordedSeries({ prices });
+      setReplay({ symbol, series, label: `${periodLabel(selectedPeriod)} history` });
+    } catch (error) {
+      setToastMessage(`Could not load history for replay: ${error.kind ? describeApiError(error) : error.message}`);
+      setShowToast(true);
+      setTimeout(() => setShowToast(false), 5000);
+    } finally {
+      setReplayLoading(false);
+    }
+  };
+
+  const handleLoadReplayRecording = (recording) => {
+    setSymbol(recording.symbol);
+    setReplay(recording);
+  };
+
+  const handleExitReplay = () => {
+    setReplay(null);
+  };
+
+  const replayDays = replay ? replayChartDays(replay.series) : null;
+  const replayChartData = useMemo(
+    () => (replay ? toChartData({ prices: replay.series }, replayChartDays(replay.series)) : null),
+    [replay],
+  );
+
+  const chartData = replayChartData || history;
+  const chartDays = replayDays ?? selectedPeriod;
 
   const getBestPriceValue = () =>
     prices.best || Math.min(prices.spot || Infinity, prices.dex || Infinity);
 
   const handleSetAlert = (price, source) => {
-    if (alerts.length >= 15) {
-      setToastMessage('Maximum 15 alerts allowed. Please remove some alerts first.');
+    if (alerts.length >= maxAlerts) {
+      setToastMessage(`Maximum ${maxAlerts} alerts allowed. Please remove some alerts first.`);
       setShowToast(true);
       setTimeout(() => setShowToast(false), 5000);
       return;
@@ -688,48 +1963,96 @@ export default function App() {
     setAlertPrice('');
     setCurrentAlertPrice(price);
     setCurrentAlertSource(source);
+    setEditingAlert(null);
     setShowAlertModal(true);
   };
 
+  // Latest streamed price of any watched coin, else its newest sample
+  const latestPriceFor = (coin, source) => {
+    const key = SOURCE_KEYS[source] || SOURCE_KEYS.Spot;
+    const snapshot = latestSnapshotsRef.current[coin];
+    if (snapshot && Date.now() - snapshot.timestamp < MAX_SNAPSHOT_AGE && isValidPrice(snapshot[key])) {
+      return snapshot[key];
+    }
+    const sampled = samples.priceAt(coin, key, Date.now());
+    return isValidPrice(sampled) ? sampled : null;
+  };
+
+  const handleEditAlert = (alert) => {
+    const source = SOURCE_KEYS[alert.source] ? alert.source : 'Spot';
+    setAlertPrice(alertKind(alert) === ALERT_KINDS.PRICE ? String(alert.targetPrice) : '');
+    setAlertType(alertKind(alert) === ALERT_KINDS.PRICE ? alert.type : 'above');
+    // The stored price is from when the alert was created; checks need today's
+    setCurrentAlertPrice(latestPriceFor(alert.symbol.toLowerCase(), source) ?? alert.currentPrice);
+    setCurrentAlertSource(source);
+    setEditingAlert(alert);
+    setShowAlertModal(true);
+  };
+
+  const updateAlert = (id, changes) => {
+    setAlerts(prev => prev.map(alert => (alert.id === id ? { ...alert, ...changes } : alert)));
+  };
+
   useEffect(() => {
+    const controller = new AbortController();
+
     const fetchHistory = async () => {
-      setHistoryLoading(true);
+      if (demoMode) {
+        setHistory(toChartData({ prices: getSimulator().history(symbol, selectedPeriod) }, selectedPeriod));
+        setHistoryStale(false);
+        setHistoryError(null);
+        setHistoryLoading(false);
+        return;
+      }
+
+      let cached = null;
       try {
-        const response = await api.history(symbol, selectedPeriod);
-        if (response?.prices && Array.isArray(response.prices)) {
-          const rawData = response.prices
-            .filter(([timestamp, price]) => timestamp && price && !isNaN(price))
-            .map(([timestamp, price]) => ({
-              timestamp,
-              time: formatChartDate(timestamp, selectedPeriod),
-              price: Number(price),
-            }));
-          
-          const processedData = downsampleData(rawData, 150);
-          setHistory(processedData);
+        cached = await api.peek.history(symbol, selectedPeriod);
+        if (controller.signal.aborted) return;
+        if (cached) {
+          setHistory(toChartData(cached.data, selectedPeriod));
+          setHistoryStale(cached.stale);
+          setHistoryError(null);
+          if (!cached.stale) return;
         } else {
-          setHistory([]);
+          setHistoryLoading(true);
         }
+
+        const response = await api.history(symbol, selectedPeriod, { signal: controller.signal });
+        if (controller.signal.aborted) return;
+        setHistory(toChartData(response, selectedPeriod));
+        setHistoryStale(false);
+        setHistoryError(null);
       } catch (err) {
+        if (controller.signal.aborted) return;
         console.error('History fetch error:', err);
-        setHistory([]);
+        // Keep a stale chart rather than blanking it
+        if (!cached) setHistory([]);
+        setHistoryError(err);
       } finally {
-        setHistoryLoading(false);
+        if (!controller.signal.aborted) setHistoryLoading(false);
       }
     };
 
     if (symbol) fetchHistory();
-  }, [symbol, selectedPeriod]);
+    return () => controller.abort();
+  }, [symbol, selectedPeriod, apiBase, demoMode, demoSeed]);
 
   return (
     <div className="min-h-screen bg-gray-50 p-4">
-      <h1 className="text-blue-500 text-2xl font-bold mb-6">Crypto Price Comparison</h1>
+      <div className="flex items-center justify-between flex-wrap gap-2 mb-6">
+        <h1 className="text-blue-500 text-2xl font-bold">Crypto Price Comparison</h1>
+        <BackendBadge apiBase={apiBase} onClick={() => setShowSettings(true)} />
+      </div>
 
       <StatusPanel
         monitoringStatus={monitoringStatus}
         connectionStatus={connectionStatus}
+        streamStatus={streamStatus}
+        replayTime={replayState?.position}
         lastMonitorTime={lastMonitorTime}
         alertCount={alerts.length}
+        maxAlerts={maxAlerts}
         testMode={testMode}
         setTestMode={setTestMode}
       />
@@ -743,37 +2066,44 @@ export default function App() {
           id="coin-select"
           value={symbol}
           onChange={(e) => setSymbol(e.target.value)}
+          disabled={!!replay}
           className="p-2 w-40 sm:w-40 text-sm border border-gray-300 rounded-md max-h-60 overflow-y-auto"
         >
-          <option value="eth">ETH</option>
-          <option value="btc">BTC</option>
-          <option value="sol">SOL</option>
-          <option value="usdt">USDT</option>
-          <option value="ada">ADA</option>
-          <option value="matic">MATIC</option>
-          <option value="avax">AVAX</option>
-          <option value="dot">DOT</option>
-          <option value="link">LINK</option>
-          <option value="uni">UNI</option>
-          <option value="xrp">XRP</option>
-          <option value="doge">DOGE</option>
-          <option value="trx">TRX</option>
-          <option value="ltc">LTC</option>
-          <option value="bch">BCH</option>
-          <option value="etc">ETC</option>
-          <option value="xlm">XLM</option>
-          <option value="algo">ALGO</option>
-          <option value="atom">ATOM</option>
-          <option value="icp">ICP</option>                  
+          {COIN_SYMBOLS.map(coin => (
+            <option key={coin} value={coin}>{coin.toUpperCase()}</option>
+          ))}
         </select>
 
+        <RefreshButton
+          onClick={handleManualRefresh}
+          spinning={loading || refreshing}
+          disabled={loading || refreshing}
+          nextAt={autoRefresh.nextAt}
+          interval={refreshInterval}
+          paused={autoRefresh.paused}
+          now={now}
+        />
+
+        <select
+          value={refreshInterval}
+          onChange={(e) => setRefreshInterval(Number(e.target.value))}
+          className="p-2 text-sm border border-gray-300 rounded-md"
+          title="Auto-refresh interval"
+        >
+          {REFRESH_INTERVALS.map(o => (
+            <option key={o.ms} value={o.ms}>{o.ms ? `Every ${o.label}` : 'Auto-refresh off'}</option>
+          ))}
+        </select>
+        {autoRefresh.paused && (
+          <span className="text-xs text-gray-500">Paused (tab hidden)</span>
+        )}
+
         <button
-          onClick={fetchPrices}
-          disabled={loading}
-          className="p-2 bg-blue-500 text-white rounded flex items-center hover:bg-blue-600 disabled:opacity-50"
-          title="Refresh prices"
+          onClick={() => setShowSettings(true)}
+          className="p-2 bg-gray-200 text-gray-700 rounded flex items-center hover:bg-gray-300"
+          title="Settings"
         >
-          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          <Settings className="w-4 h-4" />
         </button>
 
         {showInstallButton && (
@@ -792,6 +2122,10 @@ export default function App() {
           provider="CoinGecko"
           price={prices.spot}
           gasFee={null}
+          error={priceErrors.spot}
+          isStale={priceStale.spot}
+          updatedAt={priceUpdatedAt.spot}
+          now={now}
           isLoading={loading}
           isBest={prices.spot === getBestPriceValue()}
           onSetAlert={handleSetAlert}
@@ -801,6 +2135,10 @@ export default function App() {
           provider="ParaSwap"
           price={prices.dex}
           gasFee={prices.gas}
+          error={priceErrors.dex}
+          isStale={priceStale.dex}
+          updatedAt={priceUpdatedAt.dex}
+          now={now}
           isLoading={loading}
           isBest={prices.dex === getBestPriceValue()}
           onSetAlert={handleSetAlert}
@@ -810,6 +2148,10 @@ export default function App() {
           provider="System"
           price={prices.best || getBestPriceValue()}
           gasFee={null}
+          error={priceErrors.best}
+          isStale={priceStale.best}
+          updatedAt={priceUpdatedAt.best}
+          now={now}
           isLoading={loading}
           isBest={false}
           onSetAlert={handleSetAlert}
@@ -821,10 +2163,18 @@ export default function App() {
           <PeriodButtons 
             value={selectedPeriod} 
             onChange={setSelectedPeriod}
-            disabled={historyLoading}
+            disabled={!!replay}
           />
           <h2 className="text-xl font-semibold text-gray-900">
             {periodLabel(selectedPeriod)} Price History
+            {historyStale && !historyLoading && (
+              <span
+                className="ml-2 text-xs px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded align-middle"
+                title={historyError ? describeApiError(historyError) : 'Showing cached data while refreshing'}
+              >
+                STALE
+              </span>
+            )}
             {historyLoading && (
               <span className="ml-2 text-sm text-gray-500 flex items-center">
                 <Clock className="w-4 h-4 animate-spin mr-1" />
@@ -835,18 +2185,22 @@ export default function App() {
         </div>
 
         <div style={{ width: '100%', overflowX: 'auto' }}>
-          {historyLoading ? (
+          {historyLoading && !replay ? (
             <ChartSkeleton />
-          ) : history.length > 0 ? (
+          ) : chartData.length > 0 ? (
             <LineChart
               width={Math.min(350, window.innerWidth - 40)}
               height={250}
-              data={history}
+              data={chartData}
               margin={{ top: 5, right: 5, left: 5, bottom: 5 }}
             >
               <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
               <XAxis 
-                dataKey="time" 
+                dataKey="timestamp" 
+                type="number"
+                scale="time"
+                domain={['dataMin', 'dataMax']}
+                tickFormatter={(timestamp) => formatChartDate(timestamp, chartDays)}
                 tick={{ fontSize: 10 }}
                 tickMargin={4}
               />
@@ -857,6 +2211,7 @@ export default function App() {
               />
               <Tooltip 
                 formatter={(value) => [`$${value.toLocaleString()}`, 'Price']}
+                labelFormatter={(timestamp) => new Date(timestamp).toLocaleString()}
                 labelStyle={{ color: '#374151', fontSize: '12px' }}
                 contentStyle={{ 
                   backgroundColor: '#f9fafb', 
@@ -873,10 +2228,15 @@ export default function App() {
                 dot={false}
                 activeDot={{ r: 3, stroke: '#3b82f6', strokeWidth: 2 }}
               />
+              {replayState && (
+                <ReferenceLine x={replayState.position} stroke="#9333ea" strokeWidth={2} />
+              )}
             </LineChart>
           ) : (
             <div className="w-full h-64 bg-gray-50 rounded-lg flex items-center justify-center">
-              <p className="text-gray-500 text-sm">No chart data available</p>
+              <p className={`text-sm ${historyError ? 'text-red-500' : 'text-gray-500'}`}>
+                {historyError ? describeApiError(historyError) : 'No chart data available'}
+              </p>
             </div>
           )}
         </div>
@@ -887,35 +2247,140 @@ export default function App() {
           <h3 className="text-lg font-semibold mb-4">Active Price Alerts ({alerts.length})</h3>
           <div className="space-y-3">
             {alerts.map(alert => (
-              <div key={alert.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+              <div
+                key={alert.id}
+                id={`alert-${alert.id}`}
+                className={`flex items-center justify-between p-3 bg-gray-50 rounded-lg ${isSuspended(alert, now) ? 'opacity-60' : ''} ${alert.id === highlightedAlert?.id ? HIGHLIGHT_CLASS : ''}`}
+              >
                 <div>
                   <span className="font-medium">{alert.symbol}</span>
-                  <span className="mx-1 text-xs px-2 py-1 bg-blue-100 text-blue-800 rounded">
-                    {alert.source || 'Spot'}
-                  </span>
+                  {alertKind(alert) === ALERT_KINDS.GAS ? (
+                    <span className="mx-1 text-xs px-2 py-1 bg-amber-100 text-amber-800 rounded">
+                      ⛽ Gas
+                    </span>
+                  ) : (
+                    <span className="mx-1 text-xs px-2 py-1 bg-blue-100 text-blue-800 rounded">
+                      {alert.source || 'Spot'}
+                    </span>
+                  )}
                   <span className="mx-2 text-gray-500">
-                    {alert.type} ${alert.targetPrice.toFixed(2)}
-                  </span>
-                  <span className="text-sm text-gray-400">
-                    (Current: ${alert.currentPrice.toFixed(2)})
+                    {describeAlert(alert)}
                   </span>
+                  {isValidPrice(alert.currentPrice) && (
+                    <span className="text-sm text-gray-400">
+                      (Current: {formatReading(alert, alert.currentPrice)})
+                    </span>
+                  )}
+                  {alertKind(alert) === ALERT_KINDS.TRAILING && isValidPrice(alert.extreme) && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      📉 Stop at {formatReading(alert, trailingLevel(alert, alert.extreme))}
+                      {' '}· {alert.side === 'low' ? 'low' : 'high'} {formatReading(alert, alert.extreme)}
+                    </div>
+                  )}
+                  {repeatMode(alert) !== REPEAT_MODES.ONCE && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      🔁 {describeRepeat(alert)}
+                      {alert.triggerCount > 0 && (
+                        <span> · fired {alert.triggerCount}× · last {formatAge(now - alert.lastTriggeredAt)}</span>
+                      )}
+                      {!isArmed(alert) && <span className="text-orange-600"> · waiting to re-arm</span>}
+                    </div>
+                  )}
+                  {(alert.expiresAt != null || alert.schedule) && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      {alert.expiresAt != null && <span>⏳ expires in {formatTimeLeft(alert.expiresAt - now)}</span>}
+                      {alert.expiresAt != null && alert.schedule && ' · '}
+                      {alert.schedule && (
+                        <span>
+                          🕗 {describeSchedule(alert)}
+                          {!inSchedule(alert, now) && <span className="text-orange-600"> (outside active hours)</span>}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  {alertChannels(alert).length > 0 && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      📣 Also to {alertChannels(alert).map(channel => CHANNEL_LABELS[channel.type]).join(', ')}
+                    </div>
+                  )}
+                  {alert.sound && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      {alert.sound === SOUND_PROFILES.SILENT ? '🔇' : '🔔'} {SOUND_PROFILE_LABELS[alert.sound]}
+                    </div>
+                  )}
+                  {alert.paused && (
+                    <div className="text-xs text-gray-500 mt-1">⏸ Paused</div>
+                  )}
+                  {!alert.paused && isSnoozed(alert, now) && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      💤 Snoozed until {new Date(alert.snoozedUntil).toLocaleTimeString()}
+                      <button
+                        onClick={() => updateAlert(alert.id, { snoozedUntil: null })}
+                        className="ml-2 text-blue-600 hover:underline"
+                      >
+                        Wake
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => handleEditAlert(alert)}
+                    className="text-gray-500 hover:text-gray-700 p-1"
+                    title="Edit alert"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => updateAlert(alert.id, { paused: !alert.paused })}
+                    className="text-gray-500 hover:text-gray-700 p-1"
+                    title={alert.paused ? 'Resume alert' : 'Pause alert'}
+                  >
+                    {alert.paused ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+                  </button>
+                  <label className="relative text-gray-500 hover:text-gray-700 p-1 cursor-pointer" title="Snooze alert">
+                    <BellOff className="w-4 h-4" />
+                    <select
+                      value=""
+                      onChange={(e) => updateAlert(alert.id, { snoozedUntil: Date.now() + Number(e.target.value) })}
+                      className="absolute inset-0 opacity-0 cursor-pointer"
+                      aria-label="Snooze alert"
+                    >
+                      <option value="" disabled>Snooze for…</option>
+                      {SNOOZE_OPTIONS.map(ms => (
+                        <option key={ms} value={ms}>{formatWindow(ms)}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <button
+                    onClick={() => setAlerts(prev => prev.filter(a => a.id !== alert.id))}
+                    className="text-red-500 hover:text-red-700 p-1"
+                    title="Delete alert"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
                 </div>
-                <button
-                  onClick={() => setAlerts(prev => prev.filter(a => a.id !== alert.id))}
-                  className="text-red-500 hover:text-red-700 p-1"
-                  title="Delete alert"
-                >
-                  <X className="w-4 h-4" />
-                </button>
               </div>
             ))}
           </div>
         </div>
       )}
 
+      <ReplayPanel
+        replay={replay}
+        replayState={replayState}
+        controller={replayController}
+        symbol={symbol}
+        loadingSeries={replayLoading}
+        onLoadHistory={handleLoadReplayHistory}
+        onLoadRecording={handleLoadReplayRecording}
+        onExit={handleExitReplay}
+      />
+
       <NotificationHistory
         history={notificationHistory}
         onClear={() => setNotificationHistory([])}
+        highlightedAlertId={highlightedAlert?.id}
       />
 
       <Toast
@@ -924,20 +2389,43 @@ export default function App() {
         onClose={() => setShowToast(false)}
       />
 
-      <AlertModal
-        show={showAlertModal}
-        onClose={() => setShowAlertModal(false)}
-        currentPrice={currentAlertPrice}
-        symbol={symbol}
-        alertPrice={alertPrice}
-        setAlertPrice={setAlertPrice}
-        alertType={alertType}
-        setAlertType={setAlertType}
-        setAlerts={setAlerts}
-        setShowToast={setShowToast}
-        setToastMessage={setToastMessage}
-        priceSource={currentAlertSource}
-      />
+      {showAlertModal && (
+        <AlertModal
+          onClose={() => {
+            setShowAlertModal(false);
+            setEditingAlert(null);
+          }}
+          currentPrice={currentAlertPrice}
+          symbol={symbol}
+          alertPrice={alertPrice}
+          setAlertPrice={setAlertPrice}
+          alertType={alertType}
+          setAlertType={setAlertType}
+          setAlerts={setAlerts}
+          setShowToast={setShowToast}
+          setToastMessage={setToastMessage}
+          priceSource={currentAlertSource}
+          samples={samples}
+          quote={prices}
+          gasReading={symbol === 'eth' ? { gas: prices.gas, gasGwei: prices.gasGwei } : gasReading}
+          editingAlert={editingAlert}
+          priceRangePercent={priceRangePercent}
+          defaultSoundProfile={soundSettings.profile}
+        />
+      )}
+
+      {showSettings && (
+        <SettingsModal
+          onClose={() => setShowSettings(false)}
+          apiBase={apiBase}
+          demoSeed={demoSeed}
+          alertLimits={alertLimits}
+          soundSettings={soundSettings}
+          alertCount={alerts.length}
+          push={push}
+          onSave={handleSaveSettings}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,81 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { CHANNEL_LABELS, CHANNEL_TYPES, newChannel, validateChannel } from '../alerts/channels';
+
+const inputClass = 'p-1 border rounded text-sm';
+
+const URL_PLACEHOLDERS = {
+  [CHANNEL_TYPES.WEBHOOK]: 'https://example.com/hooks/alerts',
+  [CHANNEL_TYPES.SLACK]: 'https://hooks.slack.com/services/…',
+  [CHANNEL_TYPES.DISCORD]: 'https://discord.com/api/webhooks/…',
+};
+
+// Channel Editor Component
+//
+// Edits an alert's outside notification channels (see alerts/channels.js).
+const ChannelEditor = ({ value, onChange }) => {
+  const replaceChannel = (index, next) => onChange(value.map((channel, i) => (i === index ? next : channel)));
+  const updateChannel = (index, changes) => replaceChannel(index, { ...value[index], ...changes });
+  const removeChannel = (index) => onChange(value.filter((_, i) => i !== index));
+
+  return (
+    <div className="space-y-2">
+      {value.map((channel, index) => {
+        const invalid = !!channel.url && !!validateChannel(channel);
+        return (
+          <div key={channel.id}>
+            <div className="flex items-center gap-1">
+              <select
+                value={channel.type}
+                onChange={(e) => replaceChannel(index, { ...newChannel(e.target.value), id: channel.id, url: channel.url })}
+                className={inputClass}
+                aria-label="Channel type"
+              >
+                {Object.values(CHANNEL_TYPES).map((type) => (
+                  <option key={type} value={type}>{CHANNEL_LABELS[type]}</option>
+                ))}
+              </select>
+              <input
+                type="url"
+                value={channel.url}
+                onChange={(e) => updateChannel(index, { url: e.target.value.trim() })}
+                placeholder={URL_PLACEHOLDERS[channel.type]}
+                className={`${inputClass} flex-1 min-w-0 ${invalid ? 'border-red-500' : ''}`}
+                aria-label="Webhook URL"
+              />
+              <button
+                type="button"
+                onClick={() => removeChannel(index)}
+                className="text-gray-400 hover:text-red-600 p-1"
+                title="Remove channel"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            {channel.type === CHANNEL_TYPES.WEBHOOK && (
+              <input
+                type="text"
+                value={channel.secret || ''}
+                onChange={(e) => updateChannel(index, { secret: e.target.value })}
+                placeholder="Signing secret (optional)"
+                className={`${inputClass} w-full mt-1`}
+                aria-label="Signing secret"
+                autoComplete="off"
+              />
+            )}
+          </div>
+        );
+      })}
+
+      <button
+        type="button"
+        onClick={() => onChange([...value, newChannel()])}
+        className="text-xs text-blue-600 hover:underline"
+      >
+        + Add channel
+      </button>
+    </div>
+  );
+};
+
+export default ChannelEditor;
@@ -0,0 +1,216 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { ALERT_KINDS, GAS_METRICS, SOURCE_KEYS, alertKind } from '../alerts/kinds';
+import { GROUP_OPS, isGroup, newGroup, newPredicate } from '../alerts/compound';
+
+const numberValue = (value) => (value === '' ? '' : Number(value));
+
+const inputClass = 'p-1 border rounded text-sm';
+
+const PredicateRow = ({ predicate, coins, onChange }) => {
+  const kind = alertKind(predicate);
+  const update = (changes) => onChange({ ...predicate, ...changes });
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      <select
+        value={kind}
+        onChange={(e) => onChange(newPredicate(e.target.value, predicate.symbol))}
+        className={inputClass}
+        aria-label="Condition type"
+      >
+        <option value={ALERT_KINDS.PRICE}>Price</option>
+        <option value={ALERT_KINDS.SPREAD}>Spread</option>
+        <option value={ALERT_KINDS.GAS}>Gas</option>
+      </select>
+
+      {kind !== ALERT_KINDS.GAS && (
+        <select
+          value={predicate.symbol}
+          onChange={(e) => update({ symbol: e.target.value })}
+          className={inputClass}
+          aria-label="Coin"
+        >
+          {coins.map((coin) => (
+            <option key={coin} value={coin}>{coin.toUpperCase()}</option>
+          ))}
+        </select>
+      )}
+
+      {kind === ALERT_KINDS.PRICE && (
+        <>
+          <select
+            value={predicate.source}
+            onChange={(e) => update({ source: e.target.value })}
+            className={inputClass}
+            aria-label="Price source"
+          >
+            {Object.keys(SOURCE_KEYS).map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <select
+            value={predicate.type}
+            onChange={(e) => update({ type: e.target.value })}
+            className={inputClass}
+            aria-label="Direction"
+          >
+            <option value="above">above</option>
+            <option value="below">below</option>
+          </select>
+          <input
+            type="number"
+            step="any"
+            min="0"
+            value={predicate.targetPrice}
+            onChange={(e) => update({ targetPrice: numberValue(e.target.value) })}
+            placeholder="$"
+            className={`${inputClass} w-24`}
+            aria-label="Target price"
+          />
+        </>
+      )}
+
+      {kind === ALERT_KINDS.SPREAD && (
+        <>
+          <select
+            value={predicate.direction}
+            onChange={(e) => update({ direction: e.target.value })}
+            className={inputClass}
+            aria-label="Spread direction"
+          >
+            <option value="either">spread ±</option>
+            <option value="up">DEX premium</option>
+            <option value="down">DEX discount</option>
+          </select>
+          <input
+            type="number"
+            step="any"
+            min="0"
+            value={predicate.percent}
+            onChange={(e) => update({ percent: numberValue(e.target.value) })}
+            placeholder="%"
+            className={`${inputClass} w-16`}
+            aria-label="Spread percentage"
+          />
+          <label className="flex items-center gap-1 text-xs">
+            <input
+              type="checkbox"
+              checked={predicate.netOfGas}
+              onChange={(e) => update({ netOfGas: e.target.checked })}
+            />
+            net of gas
+          </label>
+        </>
+      )}
+
+      {kind === ALERT_KINDS.GAS && (
+        <>
+          <select
+            value={predicate.metric}
+            onChange={(e) => update({ metric: e.target.value })}
+            className={inputClass}
+            aria-label="Gas reading"
+          >
+            <option value={GAS_METRICS.GWEI}>ETH gas price</option>
+            <option value={GAS_METRICS.USD}>swap gas cost</option>
+          </select>
+          <select
+            value={predicate.type}
+            onChange={(e) => update({ type: e.target.value })}
+            className={inputClass}
+            aria-label="Direction"
+          >
+            <option value="below">below</option>
+            <option value="above">above</option>
+          </select>
+          <input
+            type="number"
+            step="any"
+            min="0"
+            value={predicate.threshold}
+            onChange={(e) => update({ threshold: numberValue(e.target.value) })}
+            placeholder={predicate.metric === GAS_METRICS.GWEI ? 'gwei' : '$'}
+            className={`${inputClass} w-20`}
+            aria-label="Gas threshold"
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+// Condition Builder Component
+//
+// Edits a compound alert's expression tree (see alerts/compound.js). Groups
+// nest, so "A AND (B OR C)" is an AND group holding an OR group.
+const ConditionBuilder = ({ value, onChange, coins, defaultSymbol, depth = 0 }) => {
+  const updateChild = (index, child) =>
+    onChange({ ...value, children: value.children.map((c, i) => (i === index ? child : c)) });
+  const removeChild = (index) => onChange({ ...value, children: value.children.filter((_, i) => i !== index) });
+  const addChild = (child) => onChange({ ...value, children: [...value.children, child] });
+  const otherOp = value.op === GROUP_OPS.AND ? GROUP_OPS.OR : GROUP_OPS.AND;
+
+  return (
+    <div className={`space-y-2 ${depth > 0 ? 'border-l-2 border-blue-200 pl-2' : ''}`}>
+      <div className="flex items-center gap-2 text-sm">
+        <span>Match</span>
+        <select
+          value={value.op}
+          onChange={(e) => onChange({ ...value, op: e.target.value })}
+          className={inputClass}
+          aria-label="Group logic"
+        >
+          <option value={GROUP_OPS.AND}>ALL (AND)</option>
+          <option value={GROUP_OPS.OR}>ANY (OR)</option>
+        </select>
+        <span>of:</span>
+      </div>
+
+      {value.children.map((child, index) => (
+        <div key={index} className="flex items-start gap-1">
+          <div className="flex-1">
+            {isGroup(child) ? (
+              <ConditionBuilder
+                value={child}
+                onChange={(next) => updateChild(index, next)}
+                coins={coins}
+                defaultSymbol={defaultSymbol}
+                depth={depth + 1}
+              />
+            ) : (
+              <PredicateRow predicate={child} coins={coins} onChange={(next) => updateChild(index, next)} />
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={() => removeChild(index)}
+            className="text-gray-400 hover:text-red-600 p-1"
+            title="Remove condition"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+
+      <div className="flex gap-2 text-xs">
+        <button
+          type="button"
+          onClick={() => addChild(newPredicate(ALERT_KINDS.PRICE, defaultSymbol))}
+          className="text-blue-600 hover:underline"
+        >
+          + Condition
+        </button>
+        <button
+          type="button"
+          onClick={() => addChild(newGroup(defaultSymbol, otherOp))}
+          className="text-blue-600 hover:underline"
+        >
+          + {otherOp.toUpperCase()} group
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ConditionBuilder;
@@ -0,0 +1,149 @@
+import React, { useRef, useState } from 'react';
+import { Play, Pause, X, Upload, Download } from 'lucide-react';
+import { REPLAY_SPEEDS, parseRecordedSeries } from '../replay';
+
+// datetime-local wants local time without a zone suffix
+const toLocalInput = (timestamp) => {
+  const date = new Date(timestamp);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(timestamp - offset).toISOString().slice(0, 16);
+};
+
+// Replay Controller Component
+const ReplayPanel = ({ replay, replayState, symbol, loadingSeries, onLoadHistory, onLoadRecording, onExit, controller }) => {
+  const fileInputRef = useRef(null);
+  const [fileError, setFileError] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const payload = JSON.parse(await file.text());
+      const series = parseRecordedSeries(payload);
+      setFileError('');
+      onLoadRecording({
+        symbol: String(payload.symbol || symbol).toLowerCase(),
+        series,
+        label: file.name,
+      });
+    } catch (error) {
+      setFileError(`Could not load recording: ${error.message}`);
+    }
+  };
+
+  const handleSave = () => {
+    const blob = new Blob(
+      [JSON.stringify({ symbol: replay.symbol, prices: replay.series }, null, 2)],
+      { type: 'application/json' },
+    );
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${replay.symbol}-history-${replay.series[0][0]}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (!replay) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-4 mt-6">
+        <h3 className="text-lg font-semibold mb-2">Scenario Replay</h3>
+        <p className="text-sm text-gray-500 mb-3">
+          Play a price history back as if it were live to practise with alerts.
+        </p>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={onLoadHistory}
+            disabled={loadingSeries}
+            className="px-3 py-2 text-sm bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:opacity-50"
+          >
+            {loadingSeries ? 'Loading...' : `Replay ${symbol.toUpperCase()} history`}
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 flex items-center"
+          >
+            <Upload className="w-4 h-4 mr-1" />
+            Load recording
+          </button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleFile} className="hidden" />
+        </div>
+        {fileError && <p className="text-red-500 text-sm mt-2">{fileError}</p>}
+      </div>
+    );
+  }
+
+  // The controller and its state are set up by an effect after `replay` is set
+  if (!replayState || !controller) return null;
+
+  const { position, speed, playing, start, end } = replayState;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mt-6 ring-2 ring-purple-500">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-semibold">
+          <span className="text-xs px-2 py-1 bg-purple-600 text-white rounded mr-2 align-middle">REPLAY</span>
+          {replay.symbol.toUpperCase()} <span className="text-sm text-gray-500 font-normal">{replay.label}</span>
+        </h3>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleSave}
+            className="p-1 text-gray-500 hover:text-gray-700"
+            title="Save series as recording"
+          >
+            <Download className="w-4 h-4" />
+          </button>
+          <button onClick={onExit} className="p-1 text-gray-500 hover:text-red-600" title="Exit replay">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex items-center flex-wrap gap-2 mb-3">
+        <button
+          onClick={() => (playing ? controller.pause() : controller.play())}
+          className="p-2 bg-purple-600 text-white rounded hover:bg-purple-700"
+          title={playing ? 'Pause' : 'Play'}
+        >
+          {playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+        </button>
+        <select
+          value={speed}
+          onChange={(e) => controller.setSpeed(Number(e.target.value))}
+          className="p-2 text-sm border border-gray-300 rounded-md"
+          title="Playback speed"
+        >
+          {REPLAY_SPEEDS.map(s => (
+            <option key={s} value={s}>{s}×</option>
+          ))}
+        </select>
+        <input
+          type="datetime-local"
+          value={toLocalInput(position)}
+          min={toLocalInput(start)}
+          max={toLocalInput(end)}
+          onChange={(e) => e.target.value && controller.seek(new Date(e.target.value).getTime())}
+          className="p-2 text-sm border border-gray-300 rounded-md"
+          title="Jump to time"
+        />
+      </div>
+
+      <input
+        type="range"
+        min={start}
+        max={end}
+        step={60000}
+        value={position}
+        onChange={(e) => controller.seek(Number(e.target.value))}
+        className="w-full"
+      />
+      <div className="flex justify-between text-xs text-gray-400">
+        <span>{new Date(start).toLocaleString()}</span>
+        <span>{new Date(end).toLocaleString()}</span>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayPanel;
@@ -0,0 +1,279 @@
+import React, { useState } from 'react';
+import { Volume2, X } from 'lucide-react';
+import {
+  ALERT_LIMIT_BOUNDS,
+  BACKEND_PRESETS,
+  DEFAULT_ALERT_LIMITS,
+  DEFAULT_API_BASE,
+  DEFAULT_DEMO_SEED,
+  DEFAULT_SOUND_SETTINGS,
+  normalizeBaseUrl,
+  validateBaseUrl,
+} from '../config';
+import { SOUND_PROFILES, SOUND_PROFILE_LABELS } from '../alerts/cues';
+import { localTimeZone } from '../alerts/schedule';
+import { previewProfile } from '../sound';
+
+const validateLimit = (value, { min, max }, label) => {
+  const number = Number(value);
+  if (value === '' || !Number.isInteger(number)) return `${label} must be a whole number`;
+  if (number < min || number > max) return `${label} must be between ${min} and ${max}`;
+  return '';
+};
+
+// Settings Modal Component
+const SettingsModal = ({ onClose, apiBase, demoSeed, alertLimits, soundSettings, alertCount, push, onSave }) => {
+  const [draftUrl, setDraftUrl] = useState(apiBase);
+  const [draftSeed, setDraftSeed] = useState(demoSeed);
+  const [draftMaxAlerts, setDraftMaxAlerts] = useState(String(alertLimits.maxAlerts));
+  const [draftRange, setDraftRange] = useState(String(alertLimits.priceRangePercent));
+  const [draftProfile, setDraftProfile] = useState(soundSettings.profile);
+  const [draftQuietHours, setDraftQuietHours] = useState(soundSettings.quietHours);
+
+  const validation = validateBaseUrl(draftUrl);
+  const maxAlertsError =
+    validateLimit(draftMaxAlerts, ALERT_LIMIT_BOUNDS.maxAlerts, 'Maximum alerts') ||
+    (Number(draftMaxAlerts) < alertCount
+      ? `You have ${alertCount} active alerts. Remove some before lowering the limit.`
+      : '');
+  const rangeError = validateLimit(draftRange, ALERT_LIMIT_BOUNDS.priceRangePercent, 'Target range');
+  const quietHoursError = draftQuietHours.enabled && (!draftQuietHours.start || !draftQuietHours.end)
+    ? 'Enter a start and end time for quiet hours'
+    : '';
+  const hasErrors = !!(validation || maxAlertsError || rangeError || quietHoursError);
+
+  const updateQuietHours = (changes) => setDraftQuietHours(prev => ({ ...prev, ...changes, timeZone: localTimeZone() }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (hasErrors) return;
+    onSave({
+      apiBase: normalizeBaseUrl(draftUrl),
+      demoSeed: draftSeed.trim() || DEFAULT_DEMO_SEED,
+      alertLimits: { maxAlerts: Number(draftMaxAlerts), priceRangePercent: Number(draftRange) },
+      soundSettings: { profile: draftProfile, quietHours: draftQuietHours },
+    });
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold">Settings</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="mb-4">
+            <label className="block text-sm font-medium mb-2">Backend</label>
+            <div className="flex flex-wrap gap-2 mb-2">
+              {BACKEND_PRESETS.map(preset => (
+                <button
+                  key={preset.id}
+                  type="button"
+                  onClick={() => setDraftUrl(preset.url)}
+                  className={`text-xs px-2 py-1 rounded border ${
+                    normalizeBaseUrl(draftUrl) === preset.url
+                      ? 'bg-blue-600 text-white border-blue-600'
+                      : 'border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+            <input
+              type="url"
+              value={draftUrl}
+              onChange={(e) => setDraftUrl(e.target.value)}
+              placeholder={DEFAULT_API_BASE}
+              className={`w-full p-2 border rounded-md text-sm ${validation ? 'border-red-500' : ''}`}
+            />
+            {validation ? (
+              <p className="text-red-500 text-sm mt-1">{validation}</p>
+            ) : (
+              <p className="text-xs text-gray-500 mt-1">Saved in this browser only. Default: {DEFAULT_API_BASE}</p>
+            )}
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium mb-2">Demo seed</label>
+            <input
+              type="text"
+              value={draftSeed}
+              onChange={(e) => setDraftSeed(e.target.value)}
+              placeholder={DEFAULT_DEMO_SEED}
+              className="w-full p-2 border rounded-md text-sm"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Demo mode and the mock backend replay the same simulated market for the same seed.
+            </p>
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium mb-2">Alert limits</label>
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-xs text-gray-600">
+                Maximum alerts
+                <input
+                  type="number"
+                  min={Math.max(ALERT_LIMIT_BOUNDS.maxAlerts.min, alertCount)}
+                  max={ALERT_LIMIT_BOUNDS.maxAlerts.max}
+                  step="1"
+                  value={draftMaxAlerts}
+                  onChange={(e) => setDraftMaxAlerts(e.target.value)}
+                  className={`w-full p-2 border rounded-md text-sm ${maxAlertsError ? 'border-red-500' : ''}`}
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                Target range (± % of price)
+                <input
+                  type="number"
+                  min={ALERT_LIMIT_BOUNDS.priceRangePercent.min}
+                  max={ALERT_LIMIT_BOUNDS.priceRangePercent.max}
+                  step="1"
+                  value={draftRange}
+                  onChange={(e) => setDraftRange(e.target.value)}
+                  className={`w-full p-2 border rounded-md text-sm ${rangeError ? 'border-red-500' : ''}`}
+                />
+              </label>
+            </div>
+            {maxAlertsError || rangeError ? (
+              <p className="text-red-500 text-sm mt-1">{maxAlertsError || rangeError}</p>
+            ) : (
+              <p className="text-xs text-gray-500 mt-1">
+                Price targets must fall within this range of the current price. Use 100% or more for targets like
+                "BTC doubles". Alerts for the same coin share one price feed, so a higher limit doesn't add requests.
+              </p>
+            )}
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium mb-2">Alert sound</label>
+            <div className="flex items-center gap-2">
+              <select
+                value={draftProfile}
+                onChange={(e) => setDraftProfile(e.target.value)}
+                className="flex-1 p-2 border rounded-md text-sm"
+              >
+                {Object.values(SOUND_PROFILES).map(profile => (
+                  <option key={profile} value={profile}>{SOUND_PROFILE_LABELS[profile]}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => previewProfile(draftProfile)}
+                className="p-2 border border-gray-300 rounded-md hover:bg-gray-50"
+                title="Play"
+              >
+                <Volume2 className="w-4 h-4" />
+              </button>
+            </div>
+            <label className="flex items-center gap-2 text-sm mt-2">
+              <input
+                type="checkbox"
+                checked={draftQuietHours.enabled}
+                onChange={(e) => updateQuietHours({ enabled: e.target.checked })}
+              />
+              Quiet hours
+            </label>
+            {draftQuietHours.enabled && (
+              <div className="flex items-center gap-2 mt-1 text-sm">
+                <input
+                  type="time"
+                  value={draftQuietHours.start}
+                  onChange={(e) => updateQuietHours({ start: e.target.value })}
+                  className="p-1 border rounded"
+                  aria-label="Quiet hours start"
+                />
+                <span>to</span>
+                <input
+                  type="time"
+                  value={draftQuietHours.end}
+                  onChange={(e) => updateQuietHours({ end: e.target.value })}
+                  className="p-1 border rounded"
+                  aria-label="Quiet hours end"
+                />
+              </div>
+            )}
+            {quietHoursError ? (
+              <p className="text-red-500 text-sm mt-1">{quietHoursError}</p>
+            ) : (
+              <p className="text-xs text-gray-500 mt-1">
+                Alerts can pick their own sound. During quiet hours alerts make no sound or vibration but are
+                still shown and logged.
+              </p>
+            )}
+          </div>
+
+          {push?.supported && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium mb-2">Push notifications</label>
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={push.subscribed ? push.disable : push.enable}
+                  disabled={push.busy}
+                  className={`text-sm px-3 py-1 rounded border disabled:opacity-50 ${
+                    push.subscribed
+                      ? 'border-gray-300 hover:bg-gray-50'
+                      : 'bg-blue-600 text-white border-blue-600 hover:bg-blue-700'
+                  }`}
+                >
+                  {push.busy ? 'Working…' : push.subscribed ? 'Turn off' : 'Turn on'}
+                </button>
+                <span className="text-xs text-gray-500">
+                  {push.subscribed ? 'On for this browser' : 'Off'}
+                </span>
+              </div>
+              {push.error ? (
+                <p className="text-red-500 text-sm mt-1">{push.error}</p>
+              ) : (
+                <p className="text-xs text-gray-500 mt-1">
+                  The backend watches your alerts and notifies you even when the browser is closed.
+                  Takes effect immediately.
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => {
+                setDraftUrl(DEFAULT_API_BASE);
+                setDraftSeed(DEFAULT_DEMO_SEED);
+                setDraftMaxAlerts(String(Math.max(DEFAULT_ALERT_LIMITS.maxAlerts, alertCount)));
+                setDraftRange(String(DEFAULT_ALERT_LIMITS.priceRangePercent));
+                setDraftProfile(DEFAULT_SOUND_SETTINGS.profile);
+                setDraftQuietHours({ ...DEFAULT_SOUND_SETTINGS.quietHours, timeZone: localTimeZone() });
+              }}
+              className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50 text-sm"
+            >
+              Reset
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+              disabled={hasErrors}
+            >
+              Save
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsModal;
@@ -0,0 +1,214 @@
+// Backend endpoint configuration.
+//
+// The default base URL comes from Vite env vars (VITE_API_BASE, plus the
+// optional VITE_API_BASE_STAGING / VITE_API_BASE_LOCAL presets). A runtime
+// override chosen in the settings screen is persisted in localStorage and
+// wins over the build-time default.
+//
+// VITE_MOCK_API=true makes the bundled in-browser mock backend the default,
+// so the app runs with no network at all (see src/mock/backend.js).
+
+import { SOUND_PROFILES, isSoundProfile } from './alerts/cues';
+import { localTimeZone } from './alerts/schedule';
+
+const STORAGE_KEY = 'cryptopricer-api-base';
+const FALLBACK_API_BASE = 'https://crypto-pricing-forecast-backend.onrender.com';
+
+export const normalizeBaseUrl = (url) => {
+  if (!url) return '';
+  return String(url).trim().replace(/\/+$/, '');
+};
+
+export const MOCK_API_BASE = 'mock://local';
+
+export const isMockBase = (url) => normalizeBaseUrl(url).startsWith('mock://');
+
+const PRODUCTION_API_BASE = normalizeBaseUrl(import.meta.env.VITE_API_BASE) || FALLBACK_API_BASE;
+
+export const DEFAULT_API_BASE = import.meta.env.VITE_MOCK_API === 'true' ? MOCK_API_BASE : PRODUCTION_API_BASE;
+
+export const BACKEND_PRESETS = [
+  { id: 'production', label: 'Production', url: PRODUCTION_API_BASE },
+  { id: 'staging', label: 'Staging', url: normalizeBaseUrl(import.meta.env.VITE_API_BASE_STAGING) },
+  { id: 'local', label: 'Local', url: normalizeBaseUrl(import.meta.env.VITE_API_BASE_LOCAL) || 'http://localhost:8000' },
+  { id: 'mock', label: 'Mock', url: MOCK_API_BASE },
+].filter((preset) => preset.url);
+
+export const validateBaseUrl = (url) => {
+  const normalized = normalizeBaseUrl(url);
+  if (!normalized) return 'Please enter a backend URL';
+  if (isMockBase(normalized)) return '';
+  try {
+    const parsed = new URL(normalized);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return 'Backend URL must start with http:// or https://';
+    }
+  } catch {
+    return 'Please enter a valid URL';
+  }
+  return '';
+};
+
+export const getApiBaseOverride = () => {
+  try {
+    return normalizeBaseUrl(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+// Workers can't read localStorage, so the service worker passes in the
+// backend the page last used instead.
+let workerApiBase = null;
+export const setWorkerApiBase = (url) => {
+  workerApiBase = normalizeBaseUrl(url) || null;
+};
+
+export const getApiBase = () => getApiBaseOverride() || workerApiBase || DEFAULT_API_BASE;
+
+// Pass null to drop the override and fall back to the env default.
+export const setApiBaseOverride = (url) => {
+  const normalized = normalizeBaseUrl(url);
+  try {
+    if (!normalized || normalized === DEFAULT_API_BASE) {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, normalized);
+    }
+  } catch (error) {
+    console.error('Error saving backend URL to localStorage:', error);
+  }
+  return getApiBase();
+};
+
+export const describeBackend = (url) => {
+  const normalized = normalizeBaseUrl(url);
+  const preset = BACKEND_PRESETS.find((p) => p.url === normalized);
+  let host = normalized;
+  try {
+    host = new URL(normalized).host;
+  } catch {
+    // keep the raw string for display
+  }
+  return preset
+    ? { id: preset.id, label: preset.label, host }
+    : { id: 'custom', label: 'Custom', host };
+};
+
+// Demo mode and the mock backend replay the same market for the same seed.
+const DEMO_SEED_KEY = 'cryptopricer-demo-seed';
+export const DEFAULT_DEMO_SEED = import.meta.env.VITE_DEMO_SEED || 'cryptopricer';
+
+export const getDemoSeed = () => {
+  try {
+    return localStorage.getItem(DEMO_SEED_KEY) || DEFAULT_DEMO_SEED;
+  } catch {
+    return DEFAULT_DEMO_SEED;
+  }
+};
+
+export const setDemoSeed = (seed) => {
+  const value = String(seed ?? '').trim();
+  try {
+    if (!value || value === DEFAULT_DEMO_SEED) {
+      localStorage.removeItem(DEMO_SEED_KEY);
+    } else {
+      localStorage.setItem(DEMO_SEED_KEY, value);
+    }
+  } catch (error) {
+    console.error('Error saving demo seed to localStorage:', error);
+  }
+  return getDemoSeed();
+};
+
+// Alert limits: how many alerts may be active and how far from the current
+// price a target may be set. The bounds keep a typo from saving an alert
+// that can never fire.
+const ALERT_LIMITS_KEY = 'cryptopricer-alert-limits';
+export const DEFAULT_ALERT_LIMITS = { maxAlerts: 15, priceRangePercent: 50 };
+export const ALERT_LIMIT_BOUNDS = {
+  maxAlerts: { min: 1, max: 100 },
+  priceRangePercent: { min: 10, max: 1000 },
+};
+
+const clampLimit = (key, value) => {
+  const number = Math.round(Number(value));
+  if (!isFinite(number)) return DEFAULT_ALERT_LIMITS[key];
+  const { min, max } = ALERT_LIMIT_BOUNDS[key];
+  return Math.min(max, Math.max(min, number));
+};
+
+const normalizeAlertLimits = (limits) => ({
+  maxAlerts: clampLimit('maxAlerts', limits?.maxAlerts ?? DEFAULT_ALERT_LIMITS.maxAlerts),
+  priceRangePercent: clampLimit('priceRangePercent', limits?.priceRangePercent ?? DEFAULT_ALERT_LIMITS.priceRangePercent),
+});
+
+export const getAlertLimits = () => {
+  try {
+    return normalizeAlertLimits(JSON.parse(localStorage.getItem(ALERT_LIMITS_KEY)));
+  } catch {
+    return { ...DEFAULT_ALERT_LIMITS };
+  }
+};
+
+export const setAlertLimits = (limits) => {
+  const value = normalizeAlertLimits(limits);
+  try {
+    if (value.maxAlerts === DEFAULT_ALERT_LIMITS.maxAlerts && value.priceRangePercent === DEFAULT_ALERT_LIMITS.priceRangePercent) {
+      localStorage.removeItem(ALERT_LIMITS_KEY);
+    } else {
+      localStorage.setItem(ALERT_LIMITS_KEY, JSON.stringify(value));
+    }
+  } catch (error) {
+    console.error('Error saving alert limits to localStorage:', error);
+  }
+  return getAlertLimits();
+};
+
+// Sound and vibration for triggered alerts (see alerts/cues.js). Quiet
+// hours are read in the zone they were set up in, like alert schedules.
+const SOUND_SETTINGS_KEY = 'cryptopricer-sound';
+export const DEFAULT_SOUND_SETTINGS = {
+  profile: SOUND_PROFILES.CHIME,
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+};
+
+const isClockTime = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+const normalizeSoundSettings = (settings) => {
+  const quietHours = settings?.quietHours || {};
+  const defaults = DEFAULT_SOUND_SETTINGS.quietHours;
+  return {
+    profile: isSoundProfile(settings?.profile) ? settings.profile : DEFAULT_SOUND_SETTINGS.profile,
+    quietHours: {
+      enabled: !!quietHours.enabled,
+      start: isClockTime(quietHours.start) ? quietHours.start : defaults.start,
+      end: isClockTime(quietHours.end) ? quietHours.end : defaults.end,
+      timeZone: quietHours.timeZone || localTimeZone(),
+    },
+  };
+};
+
+export const getSoundSettings = () => {
+  try {
+    return normalizeSoundSettings(JSON.parse(localStorage.getItem(SOUND_SETTINGS_KEY)));
+  } catch {
+    return normalizeSoundSettings(null);
+  }
+};
+
+export const setSoundSettings = (settings) => {
+  try {
+    localStorage.setItem(SOUND_SETTINGS_KEY, JSON.stringify(normalizeSoundSettings(settings)));
+  } catch (error) {
+    console.error('Error saving sound settings to localStorage:', error);
+  }
+  return getSoundSettings();
+};
+
+// Web Push. Subscriptions are registered with the backend unless
+// VITE_PUSH_API_BASE points somewhere else, e.g. the local stand-in
+// (npm run push:standin). VITE_VAPID_PUBLIC_KEY saves asking the server
+// for its key.
+export const getPushApiBase = () => normalizeBaseUrl(import.meta.env.VITE_PUSH_API_BASE) || getApiBase();
+export const VAPID_PUBLIC_KEY = import.meta.env.VITE_VAPID_PUBLIC_KEY || '';
@@ -0,0 +1,45 @@
+import { ALERT_KINDS, alertKind } from './alerts/kinds';
+
+// Deep links into the app, opened from notification clicks:
+//   /?coin=eth&period=7&alert=1712345678900
+// selects the coin and chart period and highlights the alert.
+
+const CHART_PERIODS = [1, 7, 30, 90];
+
+// Short-horizon alerts are best read on the 24h chart, price targets on 7d
+export const chartPeriodFor = (alert) => {
+  switch (alertKind(alert)) {
+    case ALERT_KINDS.PRICE:
+    case ALERT_KINDS.PERCENT_FROM_ENTRY:
+    case ALERT_KINDS.COMPOUND:
+      return 7;
+    default:
+      return 1;
+  }
+};
+
+export const buildAlertLink = ({ symbol, period, alertId }) => {
+  const params = new URLSearchParams();
+  if (symbol) params.set('coin', symbol.toLowerCase());
+  if (period) params.set('period', String(period));
+  if (alertId != null) params.set('alert', String(alertId));
+  const query = params.toString();
+  return `/${query ? `?${query}` : ''}`;
+};
+
+// { symbol, period, alertId }, each null when absent or invalid
+export const readDeepLink = (search = globalThis.location?.search || '') => {
+  const params = new URLSearchParams(search);
+  const period = Number(params.get('period'));
+  const alertId = params.get('alert');
+  return {
+    symbol: params.get('coin')?.toLowerCase() || null,
+    period: CHART_PERIODS.includes(period) ? period : null,
+    alertId: alertId && !isNaN(Number(alertId)) ? Number(alertId) : null,
+  };
+};
+
+// Drops the link from the address bar once it has been applied
+export const clearDeepLink = () => {
+  if (globalThis.location?.search) globalThis.history.replaceState(null, '', globalThis.location.pathname);
+};
@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Calls `callback` every `interval` ms (0 disables it), pausing while the
+// Page Visibility API reports the tab hidden. Coming back to a tab that is
+// overdue refreshes immediately. `restart()` starts a new full interval,
+// e.g. after a manual refresh.
+export const useAutoRefresh = (callback, interval) => {
+  const callbackRef = useRef(callback);
+  const lastRunRef = useRef(Date.now());
+  const [hidden, setHidden] = useState(() => typeof document !== 'undefined' && document.hidden);
+  const [nextAt, setNextAt] = useState(null);
+  const [cycle, setCycle] = useState(0);
+
+  useEffect(() => {
+    callbackRef.current = callback;
+  }, [callback]);
+
+  useEffect(() => {
+    const handleVisibility = () => setHidden(document.hidden);
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, []);
+
+  useEffect(() => {
+    if (!interval || hidden) {
+      setNextAt(null);
+      return;
+    }
+
+    let timer;
+    const schedule = (delay) => {
+      setNextAt(Date.now() + delay);
+      timer = setTimeout(() => {
+        lastRunRef.current = Date.now();
+        callbackRef.current();
+        schedule(interval);
+      }, delay);
+    };
+    schedule(Math.max(0, lastRunRef.current + interval - Date.now()));
+
+    return () => clearTimeout(timer);
+  }, [interval, hidden, cycle]);
+
+  const restart = useCallback(() => {
+    lastRunRef.current = Date.now();
+    setCycle((c) => c + 1);
+  }, []);
+
+  return { nextAt, paused: !!interval && hidden, restart };
+};
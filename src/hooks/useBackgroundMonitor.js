@@ -0,0 +1,138 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { isMockBase } from '../config';
+import {
+  BACKGROUND_SYNC_TAG,
+  KEEP_ALIVE_INTERVAL,
+  MONITOR_MESSAGES,
+  PERIODIC_SYNC_INTERVAL,
+  loadAlerts,
+  saveAlerts,
+  saveMonitorConfig,
+  takeEvents,
+} from '../alerts/background';
+
+const serviceWorker = () => (typeof navigator !== 'undefined' ? navigator.serviceWorker : undefined);
+
+// Hands alert monitoring to the service worker while the page is hidden
+// (see src/alerts/background.js). Keeps the worker's copy of the alerts and
+// settings current, picks up whatever the worker did while the page was
+// away, and schedules worker checks: Periodic Background Sync where the
+// browser grants it, plus a keep-alive ping from the hidden page.
+// Returns `isHandedOff()`; while it is true the page's own monitor stands
+// down so alerts don't fire twice. `onShowAlert({ symbol, period, alertId })`
+// runs when a notification is clicked while the app is open.
+export const useBackgroundMonitor = ({ alerts, setAlerts, onEvents, onShowAlert, config }) => {
+  const { apiBase, demoMode, testMode, maxAlerts, push, sound } = config;
+  const [synced, setSynced] = useState(false);
+  const onEventsRef = useRef(onEvents);
+  const onShowAlertRef = useRef(onShowAlert);
+  // Demo prices only exist in the page, so demo alerts never leave it
+  const canHandOff = !demoMode && !isMockBase(apiBase);
+  const canHandOffRef = useRef(canHandOff);
+  const hasAlerts = alerts.length > 0;
+
+  useEffect(() => {
+    onEventsRef.current = onEvents;
+    onShowAlertRef.current = onShowAlert;
+  }, [onEvents, onShowAlert]);
+
+  useEffect(() => {
+    canHandOffRef.current = canHandOff;
+  }, [canHandOff]);
+
+  const isHandedOff = useCallback(
+    () => canHandOffRef.current && document.hidden && !!serviceWorker()?.controller,
+    [],
+  );
+
+  // Pull the worker's changes on load, when the page comes back and when the
+  // worker reports a check that changed something.
+  useEffect(() => {
+    let active = true;
+    const pull = async () => {
+      try {
+        const [record, events] = await Promise.all([loadAlerts(), takeEvents()]);
+        if (!active) return;
+        if (record?.by === 'worker') setAlerts(record.alerts);
+        if (events.length > 0) onEventsRef.current(events);
+      } catch (error) {
+        console.error('Error syncing alerts with the service worker:', error);
+      }
+      if (active) setSynced(true);
+    };
+    const handleVisibility = () => {
+      if (!document.hidden) pull();
+    };
+    const handleMessage = (event) => {
+      if (event.data?.type === MONITOR_MESSAGES.SYNCED) pull();
+      if (event.data?.type === MONITOR_MESSAGES.SHOW_ALERT) {
+        const { symbol, period, alertId } = event.data;
+        onShowAlertRef.current?.({ symbol, period, alertId });
+      }
+    };
+
+    pull();
+    document.addEventListener('visibilitychange', handleVisibility);
+    serviceWorker()?.addEventListener('message', handleMessage);
+    return () => {
+      active = false;
+      document.removeEventListener('visibilitychange', handleVisibility);
+      serviceWorker()?.removeEventListener('message', handleMessage);
+    };
+  }, [setAlerts]);
+
+  // Held back until the first pull, so stale localStorage alerts don't
+  // overwrite what the worker stored while the app was closed.
+  useEffect(() => {
+    if (!synced) return;
+    saveAlerts(alerts, 'page').catch((error) => console.error('Error sharing alerts with the service worker:', error));
+  }, [alerts, synced]);
+
+  useEffect(() => {
+    saveMonitorConfig({ apiBase, demoMode, testMode, maxAlerts, push, sound })
+      .catch((error) => console.error('Error sharing settings with the service worker:', error));
+  }, [apiBase, demoMode, testMode, maxAlerts, push, sound]);
+
+  useEffect(() => {
+    const sw = serviceWorker();
+    if (!sw) return;
+    sw.ready
+      .then(async (registration) => {
+        if (!registration.periodicSync) return;
+        if (!hasAlerts || !canHandOff) {
+          await registration.periodicSync.unregister(BACKGROUND_SYNC_TAG);
+          return;
+        }
+        const { state } = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (state === 'granted') {
+          await registration.periodicSync.register(BACKGROUND_SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL });
+        }
+      })
+      .catch((error) => console.warn('Periodic background sync unavailable:', error));
+  }, [hasAlerts, canHandOff]);
+
+  useEffect(() => {
+    if (!hasAlerts || !canHandOff) return;
+    let timer = null;
+    const ping = () => serviceWorker()?.controller?.postMessage({ type: MONITOR_MESSAGES.CHECK });
+    const handleVisibility = () => {
+      clearInterval(timer);
+      timer = null;
+      if (!isHandedOff()) return;
+      // A one-off sync still reaches the worker if the page is frozen or closed
+      serviceWorker().ready
+        .then((registration) => registration.sync?.register(BACKGROUND_SYNC_TAG))
+        .catch(ping);
+      timer = setInterval(ping, KEEP_ALIVE_INTERVAL);
+    };
+
+    handleVisibility();
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [hasAlerts, canHandOff, isHandedOff]);
+
+  return isHandedOff;
+};
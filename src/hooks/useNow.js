@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react';
+
+// Current time in ms, re-rendering every `interval` ms. For "N seconds ago"
+// labels and countdowns.
+export const useNow = (interval = 1000) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(timer);
+  }, [interval]);
+
+  return now;
+};
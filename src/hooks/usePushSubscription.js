@@ -0,0 +1,77 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ERROR_KINDS, describeApiError, isApiError } from '../api';
+import { getPushSubscription, isPushSupported, subscribePush, syncPushAlerts, unsubscribePush } from '../push';
+
+// Alert list edits are sent to the push server once they settle
+const SYNC_DELAY = 1000;
+
+const errorMessage = (error) => {
+  if (!isApiError(error)) return error?.message || 'Push setup failed';
+  return error.kind === ERROR_KINDS.NOT_FOUND ? 'This server does not support Web Push' : describeApiError(error);
+};
+
+const getRegistration = async () => {
+  const registration = await navigator.serviceWorker.getRegistration();
+  if (!registration) throw new Error('Push needs the installed app service worker');
+  return registration;
+};
+
+// Web Push on/off state for the settings screen. While subscribed, every
+// change to the alert list is sent to the push server (see src/push.js).
+export const usePushSubscription = (alerts) => {
+  const [supported] = useState(isPushSupported);
+  const [subscribed, setSubscribed] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!supported) return;
+    let active = true;
+    navigator.serviceWorker.getRegistration()
+      .then((registration) => registration && getPushSubscription(registration))
+      .then((subscription) => {
+        if (active) setSubscribed(!!subscription);
+      })
+      .catch((err) => console.warn('Could not read the push subscription:', err));
+    return () => {
+      active = false;
+    };
+  }, [supported]);
+
+  useEffect(() => {
+    if (!subscribed) return;
+    const timer = setTimeout(() => {
+      getRegistration()
+        .then((registration) => syncPushAlerts(registration, alerts))
+        .catch((err) => console.warn('Could not send alerts to the push server:', errorMessage(err)));
+    }, SYNC_DELAY);
+    return () => clearTimeout(timer);
+  }, [alerts, subscribed]);
+
+  const run = useCallback(async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action(await getRegistration());
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  const enable = useCallback(() => run(async (registration) => {
+    if (Notification.permission !== 'granted' && (await Notification.requestPermission()) !== 'granted') {
+      throw new Error('Notifications are blocked for this site');
+    }
+    await subscribePush(registration, alerts);
+    setSubscribed(true);
+  }), [run, alerts]);
+
+  const disable = useCallback(() => run(async (registration) => {
+    await unsubscribePush(registration);
+    setSubscribed(false);
+  }), [run]);
+
+  return { supported, subscribed, busy, error, enable, disable };
+};
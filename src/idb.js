@@ -0,0 +1,70 @@
+// Minimal promise wrapper around the app's IndexedDB database.
+// Uses globalThis so the same helpers work from the page and a worker.
+
+const DB_NAME = 'cryptopricer';
+const DB_VERSION = 2;
+// responses: api cache; monitor: alert state shared with the service worker
+const STORES = ['responses', 'monitor'];
+
+let dbPromise = null;
+
+export const openDb = () => {
+  if (!globalThis.indexedDB) return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = globalThis.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        STORES.forEach((name) => {
+          if (!req.result.objectStoreNames.contains(name)) {
+            req.result.createObjectStore(name);
+          }
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (storeName, mode, operation) => {
+  const db = await openDb();
+  if (!db) return undefined;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const idbGet = (storeName, key) => run(storeName, 'readonly', (store) => store.get(key));
+
+export const idbPut = (storeName, key, value) => run(storeName, 'readwrite', (store) => store.put(value, key));
+
+export const idbDelete = (storeName, key) => run(storeName, 'readwrite', (store) => store.delete(key));
+
+// Read-modify-write in a single transaction, so the page and the service
+// worker can't interleave. Returning undefined from `update` deletes the key.
+export const idbUpdate = async (storeName, key, update) => {
+  const db = await openDb();
+  if (!db) return undefined;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    let next;
+    const req = store.get(key);
+    req.onsuccess = () => {
+      next = update(req.result);
+      if (next === undefined) store.delete(key);
+      else store.put(next, key);
+    };
+    tx.oncomplete = () => resolve(next);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
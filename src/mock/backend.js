@@ -0,0 +1,122 @@
+// In-browser mock of the pricing backend.
+//
+// Implements the routes the app uses with the same payload shapes as the
+// real FastAPI service, so the client, cache, stream fallback, charts and
+// alert monitor all run unchanged with no network. Selected by pointing the
+// backend at mock://local (VITE_MOCK_API=true, or the "Mock" preset in
+// Settings).
+//
+// Prices come from the shared market simulator, so the mock agrees with
+// demo mode and is reproducible for a given demo seed.
+//
+// Tuning via env vars:
+//   VITE_MOCK_LATENCY       simulated round-trip in ms (default 150)
+//   VITE_MOCK_FAILURE_RATE  fraction of requests answered with a 503 (default 0)
+
+import { COINS, getSimulator } from './market';
+
+const LATENCY = Number(import.meta.env.VITE_MOCK_LATENCY ?? 150);
+const FAILURE_RATE = Number(import.meta.env.VITE_MOCK_FAILURE_RATE ?? 0);
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+const notFound = (detail) => json({ detail }, 404);
+
+const routes = [
+  {
+    pattern: /^\/price\/spot$/,
+    handle: (query, now) => {
+      const coin = query.get('coin')?.toLowerCase();
+      if (!COINS[coin]) return notFound(`Unknown coin: ${coin}`);
+      return json({ coin, price: getSimulator().snapshot(coin, now).spot, source: 'mock' });
+    },
+  },
+  {
+    pattern: /^\/dex\/paraswap_quote$/,
+    handle: (query, now) => {
+      const coin = query.get('buy_token')?.toLowerCase();
+      if (!COINS[coin]) return notFound(`Unknown token: ${coin}`);
+      const amount = Number(query.get('amount') || 10000);
+      const { dex: dexPrice, gas } = getSimulator().snapshot(coin, now);
+      const { decimals } = COINS[coin];
+      const micros = BigInt(Math.round((amount / dexPrice) * 1e6));
+      const destAmount = decimals >= 6
+        ? micros * 10n ** BigInt(decimals - 6)
+        : micros / 10n ** BigInt(6 - decimals);
+      const gasCostUSD = gas.toFixed(2);
+      return json({
+        price: {
+          srcToken: 'USDC',
+          destToken: coin.toUpperCase(),
+          srcAmount: String(amount * 1e6),
+          destAmount: destAmount.toString(),
+          destDecimals: decimals,
+          gasCostUSD,
+        },
+      });
+    },
+  },
+  {
+    pattern: /^\/best_price$/,
+    handle: (query, now) => {
+      const coin = query.get('symbol')?.toLowerCase();
+      if (!COINS[coin]) return notFound(`Unknown symbol: ${coin}`);
+      return json({ symbol: coin, best_price: { price_usd: getSimulator().snapshot(coin, now).best, source: 'mock' } });
+    },
+  },
+  {
+    pattern: /^\/fees\/eth$/,
+    handle: (query, now) => {
+      const propose = getSimulator().gasAt(now);
+      return json({
+        status: '1',
+        result: {
+          SafeGasPrice: (propose * 0.85).toFixed(2),
+          ProposeGasPrice: propose.toFixed(2),
+          FastGasPrice: (propose * 1.2).toFixed(2),
+        },
+      });
+    },
+  },
+  {
+    pattern: /^\/history\/([a-z0-9]+)$/,
+    handle: (query, now, [, coin]) => {
+      if (!COINS[coin]) return notFound(`Unknown coin: ${coin}`);
+      const days = Math.max(1, Number(query.get('days') || 7));
+      return json({ prices: getSimulator().history(coin, days, now) });
+    },
+  },
+];
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+// Drop-in replacement for fetch() against mock:// URLs.
+export const mockFetch = (url, { signal } = {}) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      const { pathname, searchParams } = new URL(url.replace(/^mock:\/\/[^/]*/, 'http://mock'));
+      if (FAILURE_RATE > 0 && Math.random() < FAILURE_RATE) {
+        resolve(json({ detail: 'Mock backend: simulated outage' }, 503));
+        return;
+      }
+      for (const route of routes) {
+        const match = pathname.match(route.pattern);
+        if (match) {
+          resolve(route.handle(searchParams, Date.now(), match));
+          return;
+        }
+      }
+      resolve(notFound(`No mock route for ${pathname}`));
+    }, LATENCY * (0.5 + Math.random()));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
@@ -0,0 +1,226 @@
+import { getDemoSeed } from '../config';
+
+// Deterministic market simulator behind demo mode and the mock backend.
+//
+// Each coin follows a seeded geometric random walk that starts at its base
+// price when the simulator is created and ticks forward every `tickMs`.
+// History before the start is a backward walk from the same point (5-minute
+// steps for the last day, hourly beyond that), so the chart joins up with
+// the live price. DEX quotes carry a noisy spread over spot and gas follows
+// a mean-reverting walk. The same seed always replays the same market.
+// Live ticks are generated on demand; only recent ones and periodic
+// checkpoints are kept, so a tab left open doesn't grow without bound.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const FINE_STEP = 5 * MINUTE;
+const COARSE_STEP = HOUR;
+const MAX_HISTORY_DAYS = 90;
+
+// Live ticks kept in memory, and how often a checkpoint is taken to
+// recompute older ones from
+const RECENT_TICKS = 720;
+const CHECKPOINT_TICKS = 720;
+
+// Gas used by a typical DEX swap, for converting gwei to USD
+const SWAP_GAS_UNITS = 150000;
+
+// Base USD price, daily volatility and token decimals per coin
+export const COINS = {
+  eth: { price: 2350, volatility: 0.035, decimals: 18 },
+  btc: { price: 47000, volatility: 0.025, decimals: 8 },
+  sol: { price: 110, volatility: 0.05, decimals: 9 },
+  usdt: { price: 1, volatility: 0.0005, decimals: 6 },
+  ada: { price: 0.5, volatility: 0.045, decimals: 6 },
+  matic: { price: 0.8, volatility: 0.05, decimals: 18 },
+  avax: { price: 35, volatility: 0.05, decimals: 18 },
+  dot: { price: 7, volatility: 0.045, decimals: 10 },
+  link: { price: 15, volatility: 0.05, decimals: 18 },
+  uni: { price: 7, volatility: 0.05, decimals: 18 },
+  xrp: { price: 0.55, volatility: 0.04, decimals: 6 },
+  doge: { price: 0.08, volatility: 0.06, decimals: 8 },
+  trx: { price: 0.11, volatility: 0.03, decimals: 6 },
+  ltc: { price: 70, volatility: 0.04, decimals: 8 },
+  bch: { price: 250, volatility: 0.045, decimals: 8 },
+  etc: { price: 20, volatility: 0.05, decimals: 18 },
+  xlm: { price: 0.12, volatility: 0.04, decimals: 7 },
+  algo: { price: 0.18, volatility: 0.05, decimals: 6 },
+  atom: { price: 9, volatility: 0.05, decimals: 6 },
+  icp: { price: 12, volatility: 0.06, decimals: 8 },
+};
+
+const UNKNOWN_COIN = { price: 1, volatility: 0.05, decimals: 18 };
+
+// DEX fills sit slightly above spot on average
+const SPREAD_MEAN = 0.0015;
+const SPREAD_NOISE = 0.002;
+
+const GAS_MEAN = 18;
+const GAS_REVERSION = 0.02;
+const GAS_NOISE = 0.6;
+
+const hashString = (str) => {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+};
+
+// mulberry32: tiny, fast, good enough for visual noise
+// `random.state()` seeds a generator that continues the same sequence
+const createRandom = (seed) => {
+  let a = seed;
+  const random = () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.state = () => a;
+  return random;
+};
+
+const gaussian = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Tick `index` of a walk starting at `first`, where `next(previous, random)`
+// draws each following tick. Ticks older than the recent window are replayed
+// from the nearest checkpoint.
+const createTickSeries = (first, next, seed) => {
+  const checkpoints = [{ value: first, state: seed }];
+  const random = createRandom(seed);
+  let recent = [first];
+  let recentStart = 0;
+
+  const extend = (index) => {
+    while (recentStart + recent.length <= index) {
+      const value = next(recent[recent.length - 1], random);
+      recent.push(value);
+      const latest = recentStart + recent.length - 1;
+      if (latest % CHECKPOINT_TICKS === 0) checkpoints.push({ value, state: random.state() });
+      if (recent.length > 2 * RECENT_TICKS) {
+        recentStart += recent.length - RECENT_TICKS;
+        recent = recent.slice(-RECENT_TICKS);
+      }
+    }
+  };
+
+  return (index) => {
+    extend(index);
+    if (index >= recentStart) return recent[index - recentStart];
+    const checkpoint = Math.floor(index / CHECKPOINT_TICKS);
+    const replay = createRandom(checkpoints[checkpoint].state);
+    let value = checkpoints[checkpoint].value;
+    for (let i = checkpoint * CHECKPOINT_TICKS; i < index; i++) value = next(value, replay);
+    return value;
+  };
+};
+
+export const createMarketSimulator = ({ seed = 'cryptopricer', startTime = Date.now(), tickMs = 5000, coins = COINS } = {}) => {
+  const streams = new Map();
+  const seedFor = (name) => hashString(`${seed}:${name}`);
+  const randomFor = (name) => createRandom(seedFor(name));
+  const profileFor = (symbol) => coins[symbol] || UNKNOWN_COIN;
+
+  const walkStep = (price, volatility, stepMs, random) =>
+    price * Math.exp(volatility * Math.sqrt(stepMs / DAY) * gaussian(random));
+
+  const coinState = (symbol) => {
+    let state = streams.get(symbol);
+    if (state) return state;
+
+    const profile = profileFor(symbol);
+    const backRandom = randomFor(`${symbol}:history`);
+
+    // Backward walk from the start price: fine[i] is i*FINE_STEP before start
+    const fine = [profile.price];
+    for (let i = 1; i <= DAY / FINE_STEP; i++) {
+      fine.push(walkStep(fine[i - 1], profile.volatility, FINE_STEP, backRandom));
+    }
+    const coarse = [fine[fine.length - 1]];
+    for (let i = 1; i <= (MAX_HISTORY_DAYS * DAY) / COARSE_STEP; i++) {
+      coarse.push(walkStep(coarse[i - 1], profile.volatility, COARSE_STEP, backRandom));
+    }
+
+    state = {
+      profile,
+      fine,
+      coarse,
+      tickAt: createTickSeries(
+        { spot: profile.price, spread: SPREAD_MEAN },
+        (last, random) => ({
+          spot: walkStep(last.spot, profile.volatility, tickMs, random),
+          spread: SPREAD_MEAN + SPREAD_NOISE * gaussian(random),
+        }),
+        seedFor(`${symbol}:live`),
+      ),
+    };
+    streams.set(symbol, state);
+    return state;
+  };
+
+  const gasTickAt = createTickSeries(
+    GAS_MEAN,
+    (last, random) => Math.max(1, last + GAS_REVERSION * (GAS_MEAN - last) + GAS_NOISE * gaussian(random)),
+    seedFor('gas'),
+  );
+
+  const tickIndex = (time) => Math.max(0, Math.floor((time - startTime) / tickMs));
+
+  const gasAt = (time) => gasTickAt(tickIndex(time));
+
+  const priceAt = (symbol, time = Date.now()) => {
+    const state = coinState(symbol);
+    if (time >= startTime) return state.tickAt(tickIndex(time)).spot;
+    const ago = startTime - time;
+    if (ago <= DAY) return state.fine[Math.min(state.fine.length - 1, Math.round(ago / FINE_STEP))];
+    return state.coarse[Math.min(state.coarse.length - 1, Math.round((ago - DAY) / COARSE_STEP))];
+  };
+
+  const snapshot = (symbol, time = Date.now()) => {
+    const state = coinState(symbol);
+    const tick = state.tickAt(tickIndex(time));
+    const dex = tick.spot * (1 + tick.spread);
+    const gasGwei = gasAt(time);
+    return {
+      timestamp: time,
+      spot: tick.spot,
+      dex,
+      best: Math.min(tick.spot, dex),
+      gas: gasGwei * 1e-9 * SWAP_GAS_UNITS * priceAt('eth', time),
+      gasGwei,
+    };
+  };
+
+  // [[timestamp, price], ...] in CoinGecko's shape and granularity
+  const history = (symbol, days = 7, time = Date.now()) => {
+    const span = Math.min(days, MAX_HISTORY_DAYS) * DAY;
+    const step = days <= 1 ? FINE_STEP : COARSE_STEP;
+    const points = [];
+    for (let t = time - span; t < time; t += step) {
+      points.push([t, priceAt(symbol, t)]);
+    }
+    points.push([time, priceAt(symbol, time)]);
+    return points;
+  };
+
+  return { seed, startTime, tickMs, profileFor, priceAt, gasAt, snapshot, history };
+};
+
+let shared = null;
+
+// App-wide simulator for the current demo seed, rebuilt when the seed changes.
+export const getSimulator = () => {
+  const seed = getDemoSeed();
+  if (!shared || shared.seed !== seed) {
+    shared = createMarketSimulator({ seed });
+  }
+  return shared;
+};
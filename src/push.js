@@ -0,0 +1,68 @@
+import { api, describeApiError } from './api';
+import { VAPID_PUBLIC_KEY } from './config';
+import { withoutSecrets } from './alerts/channels';
+
+// Web Push subscription management, shared by the page and the service
+// worker. The subscription is registered together with the alert list, so
+// the backend can evaluate the alerts itself and push a message when one
+// fires, even with the browser closed.
+//
+//   GET  /push/vapid_public_key  -> { "public_key": "<base64url>" }
+//   POST /push/subscribe         { subscription, alerts }  (upsert by endpoint)
+//   POST /push/unsubscribe       { endpoint }
+//
+// The app still delivers the alert's webhook channels (alerts/channels.js)
+// when the push arrives; their signing secrets are never sent to the
+// server. Push payloads are JSON:
+//   { "type": "alert", "alert": { ...stored alert }, "price": 2501.3, "quote": { "spot": ... }, "at": 1712345678900 }
+
+export const PUSH_MESSAGE_TYPES = {
+  ALERT: 'alert',
+};
+
+export const isPushSupported = () =>
+  typeof navigator !== 'undefined' && 'serviceWorker' in navigator && typeof PushManager !== 'undefined';
+
+const base64UrlToBytes = (value) => {
+  const base64 = (value + '='.repeat((4 - (value.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+};
+
+const vapidPublicKey = async () => VAPID_PUBLIC_KEY || (await api.push.vapidKey())?.public_key;
+
+export const getPushSubscription = (registration) => registration.pushManager.getSubscription();
+
+export const subscribePush = async (registration, alerts) => {
+  let subscription = await getPushSubscription(registration);
+  if (!subscription) {
+    const key = await vapidPublicKey();
+    if (!key) throw new Error('The push server did not provide a VAPID public key');
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: base64UrlToBytes(key),
+    });
+  }
+  await api.push.subscribe(subscription.toJSON(), alerts.map(withoutSecrets));
+  return subscription;
+};
+
+// The browser subscription is dropped even if the server can't be told.
+export const unsubscribePush = async (registration) => {
+  const subscription = await getPushSubscription(registration);
+  if (!subscription) return;
+  try {
+    await api.push.unsubscribe(subscription.endpoint);
+  } catch (error) {
+    console.warn('Could not unregister the push subscription:', describeApiError(error));
+  }
+  await subscription.unsubscribe();
+};
+
+// Sends the current alert list for an existing subscription. Resolves
+// false when there is no subscription.
+export const syncPushAlerts = async (registration, alerts) => {
+  const subscription = await getPushSubscription(registration);
+  if (!subscription) return false;
+  await api.push.subscribe(subscription.toJSON(), alerts.map(withoutSecrets));
+  return true;
+};
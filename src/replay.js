@@ -0,0 +1,109 @@
+// Historical scenario replay.
+//
+// Plays a [[timestamp, price], ...] series (a /history/{symbol} payload or a
+// recording of one) back as if it were live: a virtual clock advances at
+// `speed` times wall-clock speed and every tick emits the interpolated
+// price at that moment.
+
+export const REPLAY_SPEEDS = [1, 2, 5, 10, 25, 50, 100];
+
+const DEFAULT_TICK_MS = 250;
+
+// Accepts the backend's { prices: [...] } shape or a bare array of pairs.
+export const parseRecordedSeries = (payload) => {
+  const raw = Array.isArray(payload) ? payload : payload?.prices;
+  if (!Array.isArray(raw)) {
+    throw new Error('Expected a history payload with a "prices" array');
+  }
+  const series = raw
+    .filter((point) => Array.isArray(point) && point.length >= 2)
+    .map(([timestamp, price]) => [Number(timestamp), Number(price)])
+    .filter(([timestamp, price]) => isFinite(timestamp) && isFinite(price) && price > 0)
+    .sort((a, b) => a[0] - b[0]);
+  if (series.length < 2) {
+    throw new Error('Need at least two valid [timestamp, price] points');
+  }
+  return series;
+};
+
+export const createReplay = ({ series, onTick, onStateChange, tickMs = DEFAULT_TICK_MS }) => {
+  const start = series[0][0];
+  const end = series[series.length - 1][0];
+  let position = start;
+  let speed = 1;
+  let playing = false;
+  let timer = null;
+  let lastWall = 0;
+
+  const priceAt = (time) => {
+    let lo = 0;
+    let hi = series.length - 1;
+    if (time <= series[lo][0]) return series[lo][1];
+    if (time >= series[hi][0]) return series[hi][1];
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (series[mid][0] <= time) lo = mid;
+      else hi = mid;
+    }
+    const [t0, p0] = series[lo];
+    const [t1, p1] = series[hi];
+    return p0 + ((p1 - p0) * (time - t0)) / (t1 - t0);
+  };
+
+  const notify = () => onStateChange?.({ position, speed, playing, start, end });
+  const emit = () => onTick({ timestamp: position, price: priceAt(position) });
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+    playing = false;
+  };
+
+  const step = () => {
+    const now = Date.now();
+    position = Math.min(end, position + (now - lastWall) * speed);
+    lastWall = now;
+    emit();
+    if (position >= end) stop();
+    notify();
+  };
+
+  const controller = {
+    play() {
+      if (playing) return;
+      if (position >= end) position = start;
+      playing = true;
+      lastWall = Date.now();
+      timer = setInterval(step, tickMs);
+      emit();
+      notify();
+    },
+
+    pause() {
+      stop();
+      notify();
+    },
+
+    setSpeed(next) {
+      speed = Math.min(100, Math.max(1, Number(next) || 1));
+      notify();
+    },
+
+    seek(time) {
+      position = Math.min(end, Math.max(start, Number(time)));
+      lastWall = Date.now();
+      emit();
+      notify();
+    },
+
+    close() {
+      stop();
+    },
+
+    priceAt,
+  };
+
+  emit();
+  notify();
+  return controller;
+};
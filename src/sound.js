@@ -0,0 +1,66 @@
+import chimeUrl from './assets/sounds/chime.wav';
+import sirenUrl from './assets/sounds/siren.wav';
+import { SOUND_PROFILES, VIBRATION_PATTERNS } from './alerts/cues';
+
+// Alert sounds, played through the Web Audio API from the bundled assets
+// (precached by the service worker, so they work offline). Browsers only
+// start audio after a user gesture; unlockAudio() is called on the first
+// click or key press so later alerts can play.
+
+const SOUND_URLS = {
+  [SOUND_PROFILES.CHIME]: chimeUrl,
+  [SOUND_PROFILES.SIREN]: sirenUrl,
+};
+
+let context = null;
+// profile -> Promise<AudioBuffer>
+const buffers = new Map();
+
+const audioContext = () => {
+  const AudioContext = globalThis.AudioContext || globalThis.webkitAudioContext;
+  if (!context && AudioContext) context = new AudioContext();
+  return context;
+};
+
+const loadBuffer = (profile) => {
+  if (!buffers.has(profile)) {
+    const loading = fetch(SOUND_URLS[profile])
+      .then((response) => response.arrayBuffer())
+      .then((data) => audioContext().decodeAudioData(data));
+    // Let a failed load be retried on the next alert
+    loading.catch(() => buffers.delete(profile));
+    buffers.set(profile, loading);
+  }
+  return buffers.get(profile);
+};
+
+export const unlockAudio = () => audioContext()?.resume().catch(() => {});
+
+export const playSound = async (profile) => {
+  if (!SOUND_URLS[profile] || !audioContext()) return;
+  const ctx = audioContext();
+  if (ctx.state === 'suspended') await ctx.resume();
+  const source = ctx.createBufferSource();
+  source.buffer = await loadBuffer(profile);
+  source.connect(ctx.destination);
+  source.start();
+};
+
+export const vibrate = (pattern) => {
+  if (pattern.length > 0) globalThis.navigator?.vibrate?.(pattern);
+};
+
+// Plays a cue from alertCue(); resolves once the sound has started.
+export const playCue = async ({ profile, sound, vibrate: pattern }) => {
+  vibrate(pattern);
+  if (!sound) return;
+  try {
+    await playSound(profile);
+  } catch (error) {
+    console.warn('Could not play the alert sound:', error);
+  }
+};
+
+// Settings preview: the profile's sound and vibration regardless of quiet hours
+export const previewProfile = (profile) =>
+  playCue({ profile, sound: profile !== SOUND_PROFILES.SILENT, vibrate: VIBRATION_PATTERNS[profile] });
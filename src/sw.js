@@ -0,0 +1,118 @@
+import { clientsClaim } from 'workbox-core';
+import { cleanupOutdatedCaches, createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { NavigationRoute, registerRoute } from 'workbox-routing';
+import {
+  BACKGROUND_SYNC_TAG,
+  MONITOR_MESSAGES,
+  handleNotificationAction,
+  handlePushedAlert,
+  runBackgroundCheck,
+  showGenericNotification,
+  showPushedAlert,
+} from './alerts/background';
+import { NOTIFICATION_ACTIONS } from './alerts/adapters';
+import { buildAlertLink } from './deepLink';
+import { PUSH_MESSAGE_TYPES } from './push';
+
+// Service worker built by VitePWA (injectManifest). Besides precaching the
+// app shell it checks alerts while no page is visible and shows alerts the
+// backend sends over Web Push; see src/alerts/background.js for how it
+// shares state with the page.
+
+precacheAndRoute(self.__WB_MANIFEST);
+cleanupOutdatedCaches();
+// Single-page app: every navigation, deep links included, gets index.html
+registerRoute(new NavigationRoute(createHandlerBoundToURL('index.html')));
+
+self.skipWaiting();
+clientsClaim();
+
+const windowClients = () => self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+const hasVisibleClient = async () => (await windowClients()).some((client) => client.visibilityState === 'visible');
+
+const hasFocusedClient = async () => (await windowClients()).some((client) => client.focused);
+
+const notifyClients = async (message) => (await windowClients()).forEach((client) => client.postMessage(message));
+
+// Checks overlap when a sync and a keep-alive ping arrive together
+let running = null;
+
+const checkAlerts = () => {
+  if (!running) {
+    running = (async () => {
+      // A visible page runs the monitor itself
+      if (await hasVisibleClient()) return;
+      const changed = await runBackgroundCheck(self.registration);
+      if (changed) await notifyClients({ type: MONITOR_MESSAGES.SYNCED });
+    })()
+      .catch((error) => console.error('Background alert check failed:', error))
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+};
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === BACKGROUND_SYNC_TAG) event.waitUntil(checkAlerts());
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === BACKGROUND_SYNC_TAG) event.waitUntil(checkAlerts());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === MONITOR_MESSAGES.CHECK) event.waitUntil(checkAlerts());
+});
+
+const readPush = (event) => {
+  try {
+    return event.data?.json() ?? null;
+  } catch {
+    return null;
+  }
+};
+
+// The subscription is userVisibleOnly: unless a page has focus, every push
+// must show a notification, or the browser shows its own and may eventually
+// revoke the subscription.
+self.addEventListener('push', (event) => {
+  const message = readPush(event);
+  event.waitUntil((async () => {
+    if (await hasFocusedClient()) return;
+    if (message?.type !== PUSH_MESSAGE_TYPES.ALERT) return showGenericNotification(self.registration);
+    // A visible page has already fired this alert from its own monitor
+    if (await hasVisibleClient()) return showPushedAlert(self.registration, message);
+    if (await handlePushedAlert(self.registration, message)) {
+      await notifyClients({ type: MONITOR_MESSAGES.SYNCED });
+    }
+  })().catch((error) => {
+    console.error('Could not show pushed alert:', error);
+    return showGenericNotification(self.registration);
+  }));
+});
+
+// An open window is told which alert to show; otherwise one is opened on
+// the alert's deep link.
+const showAlert = async ({ symbol, period, alertId }) => {
+  const [client] = await windowClients();
+  if (!client) return self.clients.openWindow(buildAlertLink({ symbol, period, alertId }));
+  client.postMessage({ type: MONITOR_MESSAGES.SHOW_ALERT, symbol, period, alertId });
+  return client.focus();
+};
+
+// Every button also brings up the alert, so the change can be seen
+self.addEventListener('notificationclick', (event) => {
+  const data = event.notification.data || {};
+  event.notification.close();
+
+  event.waitUntil((async () => {
+    if (event.action && event.action !== NOTIFICATION_ACTIONS.VIEW) {
+      if (await handleNotificationAction(self.registration, event.action, data)) {
+        await notifyClients({ type: MONITOR_MESSAGES.SYNCED });
+      }
+    }
+    await showAlert(data);
+  })().catch((error) => console.error('Could not handle the notification click:', error)));
+});
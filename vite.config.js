@@ -12,8 +12,12 @@ export default defineConfig({
         navigateFallback: 'index.html',
       },
       registerType: 'autoUpdate',
-      workbox: {
-        globPatterns: ['**/*.{js,css,html,ico,png,svg}'],
+      // Custom worker so alerts keep being checked in the background
+      strategies: 'injectManifest',
+      srcDir: 'src',
+      filename: 'sw.js',
+      injectManifest: {
+        globPatterns: ['**/*.{js,css,html,ico,png,svg,wav}'],
       },
       manifest: {
         name: 'CryptoPricer',